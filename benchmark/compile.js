@@ -0,0 +1,102 @@
+// Compares compiled validators with the interpreter on the same data.
+// Build first, then run from lib/: npm run bench
+const {
+  compile,
+  validateByStructure,
+  isValidByStructure,
+  optional,
+  withDefault,
+  arrayOf,
+  oneOf,
+  refine,
+  validateEmail,
+} = require("../lib/dist/script.js");
+
+const order = {
+  id: "string",
+  email: refine("string", validateEmail),
+  status: oneOf(["new", "paid", "shipped"]),
+  note: optional("string"),
+  items: arrayOf(
+    {
+      sku: "string",
+      quantity: refine(
+        "number",
+        (value) => Number.isInteger(value) && value > 0
+      ),
+      price: "number",
+      gift: withDefault("boolean", false),
+    },
+    { minLength: 1, maxLength: 100 }
+  ),
+};
+
+const orders = Array.from({ length: 1000 }, (_, i) => ({
+  id: `order-${i}`,
+  email: `customer${i}@example.com`,
+  status: ["new", "paid", "shipped"][i % 3],
+  items: Array.from({ length: 1 + (i % 5) }, (_, j) => ({
+    sku: `sku-${j}`,
+    quantity: 1 + j,
+    price: 9.99,
+  })),
+}));
+const invalid = orders.map((item, i) =>
+  i % 10 === 0 ? { ...item, status: "lost" } : item
+);
+
+/**
+ * Runs `fn` over `data` for about `ms` milliseconds.
+ *
+ * @returns Validations per second.
+ */
+function measure(fn, data, ms = 500) {
+  let count = 0;
+  const start = process.hrtime.bigint();
+  const end = start + BigInt(ms) * 1000000n;
+  let now = start;
+  while (now < end) {
+    for (let i = 0; i < data.length; i++) fn(data[i]);
+    count += data.length;
+    now = process.hrtime.bigint();
+  }
+  return Math.round(count / (Number(now - start) / 1e9));
+}
+
+const compiled = compile(order);
+const rows = [
+  [
+    "validate, all valid",
+    orders,
+    (x) => validateByStructure(order, x),
+    compiled,
+  ],
+  [
+    "validate, 10% invalid",
+    invalid,
+    (x) => validateByStructure(order, x),
+    compiled,
+  ],
+  ["is, all valid", orders, (x) => isValidByStructure(order, x), compiled.is],
+  [
+    "allErrors, all valid",
+    orders,
+    (x) => validateByStructure(order, x, { allErrors: true }),
+    (x) => compiled(x, { allErrors: true }),
+  ],
+];
+
+const rate = (perSecond) => `${String(perSecond).padStart(9)}/s`;
+for (const [name, data, interpreted, fast] of rows) {
+  const before = measure(interpreted, data);
+  const after = measure(fast, data);
+  const speedup = `x${(after / before).toFixed(1)}`;
+  console.log(
+    name.padEnd(24),
+    "interpreter",
+    rate(before),
+    "compiled",
+    rate(after),
+    speedup
+  );
+}
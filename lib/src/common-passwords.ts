@@ -0,0 +1,250 @@
+/**
+ * The most common passwords found in public breach corpora, most frequent first, lowercased.
+ * Bundled so the blocklist works offline; the order is used as the guessing rank.
+ */
+const commonPasswordList: string[] = [
+  "123456",
+  "password",
+  "123456789",
+  "12345678",
+  "12345",
+  "qwerty",
+  "1234567",
+  "111111",
+  "1234567890",
+  "123123",
+  "abc123",
+  "1234",
+  "password1",
+  "iloveyou",
+  "1q2w3e4r",
+  "000000",
+  "qwerty123",
+  "zaq12wsx",
+  "dragon",
+  "sunshine",
+  "princess",
+  "letmein",
+  "654321",
+  "monkey",
+  "1qaz2wsx",
+  "123321",
+  "qwertyuiop",
+  "superman",
+  "asdfghjkl",
+  "football",
+  "baseball",
+  "welcome",
+  "admin",
+  "master",
+  "shadow",
+  "michael",
+  "jennifer",
+  "trustno1",
+  "hunter",
+  "hunter2",
+  "ashley",
+  "charlie",
+  "jordan",
+  "buster",
+  "soccer",
+  "harley",
+  "batman",
+  "andrew",
+  "tigger",
+  "freedom",
+  "whatever",
+  "qazwsx",
+  "ninja",
+  "mustang",
+  "access",
+  "love",
+  "lovely",
+  "flower",
+  "hello",
+  "hello123",
+  "starwars",
+  "login",
+  "passw0rd",
+  "p@ssw0rd",
+  "p@ssword",
+  "pass",
+  "pass123",
+  "password123",
+  "password12",
+  "password!",
+  "admin123",
+  "root",
+  "toor",
+  "test",
+  "test123",
+  "guest",
+  "changeme",
+  "secret",
+  "default",
+  "letmein1",
+  "welcome1",
+  "welcome123",
+  "qwerty1",
+  "qwertyui",
+  "asdfgh",
+  "asdf",
+  "zxcvbnm",
+  "zxcvbn",
+  "1qazxsw2",
+  "q1w2e3r4",
+  "q1w2e3r4t5",
+  "1q2w3e",
+  "1q2w3e4r5t",
+  "aa123456",
+  "a123456",
+  "123qwe",
+  "qwe123",
+  "123abc",
+  "abcd1234",
+  "abcdef",
+  "abc12345",
+  "987654321",
+  "9876543210",
+  "666666",
+  "888888",
+  "7777777",
+  "121212",
+  "112233",
+  "123654",
+  "159753",
+  "147258369",
+  "11111111",
+  "00000000",
+  "computer",
+  "internet",
+  "samsung",
+  "google",
+  "apple",
+  "iphone",
+  "cookie",
+  "chocolate",
+  "pokemon",
+  "naruto",
+  "killer",
+  "pepper",
+  "ginger",
+  "summer",
+  "winter",
+  "spring",
+  "autumn",
+  "orange",
+  "banana",
+  "cheese",
+  "coffee",
+  "matrix",
+  "thunder",
+  "tiger",
+  "lion",
+  "eagle",
+  "falcon",
+  "phoenix",
+  "maverick",
+  "yankees",
+  "cowboys",
+  "eagles",
+  "lakers",
+  "arsenal",
+  "chelsea",
+  "liverpool",
+  "barcelona",
+  "madrid",
+  "juventus",
+  "hockey",
+  "tennis",
+  "golf",
+  "jessica",
+  "daniel",
+  "thomas",
+  "robert",
+  "matthew",
+  "joshua",
+  "anthony",
+  "william",
+  "jasmine",
+  "nicole",
+  "amanda",
+  "michelle",
+  "sophie",
+  "maggie",
+  "ginger1",
+  "bailey",
+  "buddy",
+  "lucky",
+  "angel",
+  "angels",
+  "babygirl",
+  "princess1",
+  "sweety",
+  "sunshine1",
+  "iloveyou1",
+  "iloveu",
+  "loveme",
+  "lovelove",
+  "forever",
+  "friends",
+  "family",
+  "blessed",
+  "jesus",
+  "heaven",
+  "money",
+  "dollar",
+  "business",
+  "office",
+  "qwerty12",
+  "qwerty1234",
+  "azerty",
+  "master1",
+  "shadow1",
+  "monkey1",
+  "dragon1",
+  "football1",
+  "baseball1",
+  "superman1",
+  "batman1",
+  "starwars1",
+  "trustno",
+  "nothing",
+  "secret1",
+  "mypassword",
+  "mypass",
+  "passpass",
+  "password2",
+  "password01",
+  "abc",
+  "abcabc",
+  "aaaaaa",
+  "qqqqqq",
+  "asdasd",
+  "zxczxc",
+  "qweqwe",
+  "qweasd",
+  "qweasdzxc",
+  "1qaz",
+  "2wsx",
+  "zaq1",
+  "xsw2",
+  "letmein123",
+  "adminadmin",
+  "administrator",
+  "user",
+  "user123",
+  "demo",
+  "temp",
+  "temp123",
+  "system",
+  "server",
+  "oracle",
+  "mysql",
+  "postgres",
+  "database",
+  "linux",
+  "windows",
+];
+
+export { commonPasswordList };
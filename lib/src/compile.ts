@@ -0,0 +1,463 @@
+import {
+  STRUCTURE,
+  validateByStructure,
+  isValidByStructure,
+  parseByStructure,
+  arrayOf,
+  acceptsMissing,
+  uniqueKey,
+  setOwn,
+  copyOwn,
+  isModifier,
+  isArrayStructure,
+  isStructureLike,
+  isLazy,
+  isRefined,
+  isTransformed,
+  isLiteral,
+  isUnion,
+  isRecord,
+} from "./structure";
+import type {
+  Structure,
+  ArrayStructure,
+  RecordStructure,
+  LazyStructure,
+  Refinement,
+  Throwing,
+  UnknownKeysMode,
+  ValidateOptions,
+  StructureValidationResult,
+} from "./structure";
+import type { Transform } from "./transform";
+import type { Infer, InferInput } from "./infer";
+
+/**
+ * Returned by a compiled step when the value doesn't match. Never a valid output, since it can't be created outside this module.
+ */
+const FAIL = Symbol("basic-input-validation.fail");
+
+/**
+ * A compiled structure node. It returns the validated value, or `FAIL`.
+ * With `output` false it only checks the value: objects and arrays are not copied.
+ *
+ * @param value - The value to validate.
+ * @param mode - The unknown-keys mode of the call.
+ * @param inherited - The unknown-keys mode set by an enclosing modifier, if any.
+ * @param output - Whether the validated value (with defaults filled in and keys stripped) is needed.
+ */
+type Step = (
+  value: any,
+  mode: UnknownKeysMode,
+  inherited: UnknownKeysMode | undefined,
+  output: boolean
+) => any;
+
+/**
+ * State shared by the steps of one compiled validator.
+ *
+ * - `lazySteps` - The step of each lazy structure, so recursive structures are compiled once.
+ * - `recursive` - Whether the structure contains a lazy structure, so data can be walked without end.
+ * - `ancestors` - The objects and arrays being validated by a lazy structure, with the depth they are at,
+ *   to stop at cyclic data.
+ * - `depth` - How many objects and arrays deep the current value is, counted for recursive structures only.
+ */
+interface CompileContext {
+  lazySteps: Map<LazyStructure, Step>;
+  recursive: boolean;
+  ancestors: Map<object, number>;
+  depth: number;
+}
+
+/**
+ * A validator compiled from a structure with `compile`.
+ * Called like `validateByStructure` without the structure, with the same results.
+ */
+interface CompiledValidator<S extends Structure> {
+  (
+    arg: unknown,
+    options: ValidateOptions & { allErrors: true }
+  ): StructureValidationResult<Infer<S>>;
+  (arg: unknown, pathOrOptions?: string | ValidateOptions): Throwing;
+  /**
+   * The structure the validator was compiled from.
+   */
+  readonly structure: S;
+  /**
+   * Like `isValidByStructure`: narrows `arg` to the type the structure describes.
+   */
+  is(
+    arg: unknown,
+    options?: Omit<ValidateOptions, "allErrors">
+  ): arg is InferInput<S>;
+  /**
+   * Like `parseByStructure`: returns the validated value, or throws a `ValidationError`.
+   */
+  parse(arg: unknown, options?: Omit<ValidateOptions, "allErrors">): Infer<S>;
+}
+
+const hasOwn = (object: object, key: string): boolean =>
+  Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Whether a value passes a refinement, as `runRefinement` decides it but without building the failure.
+ * Async checks fail here, so the interpreter reports that they need `validateByStructureAsync`.
+ *
+ * @param refinement - The refinement.
+ * @param value - The value to check.
+ * @returns True if the check passed.
+ */
+function passes(refinement: Refinement, value: any): boolean {
+  let result;
+  try {
+    result = refinement.check(value);
+  } catch (error) {
+    return false;
+  }
+  if (typeof result === "object" && result !== null && "then" in result) {
+    // Not awaited, so a rejection mustn't go unhandled
+    result.then(undefined, () => undefined);
+    return false;
+  }
+  return result !== false && !(result instanceof Error);
+}
+
+/**
+ * Applies transforms to a value.
+ *
+ * @param transforms - The transforms.
+ * @param value - The value.
+ * @returns The transformed value, or `FAIL` if a transform threw.
+ */
+function runTransforms(transforms: Transform[], value: any): any {
+  try {
+    for (let i = 0; i < transforms.length; i++) value = transforms[i](value);
+  } catch (error) {
+    return FAIL;
+  }
+  return value;
+}
+
+/**
+ * Compiles an array structure: length, items by position, then uniqueness.
+ *
+ * @param structure - The array structure.
+ * @param ctx - The compile context.
+ * @returns The compiled step.
+ */
+function compileArray(structure: ArrayStructure, ctx: CompileContext): Step {
+  const { items, tuple, rest, minLength, maxLength, unique } = structure;
+  const steps = items.map((item) =>
+    item === undefined ? undefined : compileNode(item, ctx)
+  );
+  const restStep = rest === undefined ? undefined : compileNode(rest, ctx);
+  // Tuples without a rest structure have a fixed length
+  const fixed = tuple && rest === undefined;
+  const min = fixed ? Math.max(items.length, minLength || 0) : minLength;
+  const max = fixed ? Math.min(items.length, maxLength ?? Infinity) : maxLength;
+  const keyOf = typeof unique === "function" ? unique : uniqueKey;
+
+  return (value, mode, inherited, output) => {
+    if (!Array.isArray(value)) return FAIL;
+    if (min !== undefined && value.length < min) return FAIL;
+    if (max !== undefined && value.length > max) return FAIL;
+    // Uniqueness is checked on the validated items, so they are needed too
+    const result = output || unique ? value.slice() : value;
+    for (let i = 0; i < value.length; i++) {
+      const step = tuple ? (i < steps.length ? steps[i] : restStep) : steps[0];
+      if (step === undefined) continue;
+      const item = step(value[i], mode, undefined, output || !!unique);
+      if (item === FAIL) return FAIL;
+      if (result !== value) result[i] = item;
+    }
+    if (unique) {
+      const seen = new Set();
+      for (let i = 0; i < result.length; i++) {
+        const key = keyOf(result[i]);
+        if (seen.has(key)) return FAIL;
+        seen.add(key);
+      }
+    }
+    return result;
+  };
+}
+
+/**
+ * Compiles an object structure: declared keys, then unknown keys.
+ *
+ * @param shape - The object structure.
+ * @param ctx - The compile context.
+ * @returns The compiled step.
+ */
+function compileObject(
+  shape: { [key: string]: Structure },
+  ctx: CompileContext
+): Step {
+  const keys = Object.keys(shape);
+  const steps = keys.map((key) => compileNode(shape[key], ctx));
+  const missingOk = keys.map((key) => acceptsMissing(shape[key]));
+
+  return (value, mode, inherited, output) => {
+    if (typeof value !== "object" || value === null) return FAIL;
+    const keysMode = inherited || mode;
+    const result: { [key: string]: any } | undefined = output
+      ? keysMode === "allow"
+        ? copyOwn(value)
+        : {}
+      : undefined;
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i];
+      const present = hasOwn(value, key);
+      if (!present && !missingOk[i]) return FAIL;
+      const item = steps[i](value[key], mode, undefined, output);
+      if (item === FAIL) return FAIL;
+      if (result && (item !== undefined || present)) setOwn(result, key, item);
+    }
+    if (keysMode === "reject") {
+      for (const key in value) {
+        if (hasOwn(value, key) && !hasOwn(shape, key)) return FAIL;
+      }
+    }
+    return result || value;
+  };
+}
+
+/**
+ * Compiles a record structure: every own key and its value.
+ *
+ * @param structure - The record structure.
+ * @param ctx - The compile context.
+ * @returns The compiled step.
+ */
+function compileRecord(structure: RecordStructure, ctx: CompileContext): Step {
+  const valuesStep = compileNode(structure.values, ctx);
+  const keysStep =
+    structure.keys === undefined ? undefined : compileNode(structure.keys, ctx);
+  return (value, mode, inherited, output) => {
+    if (typeof value !== "object" || value === null || Array.isArray(value))
+      return FAIL;
+    const result: { [key: string]: any } | undefined = output ? {} : undefined;
+    for (const key in value) {
+      if (!hasOwn(value, key)) continue;
+      if (keysStep && keysStep(key, mode, undefined, false) === FAIL)
+        return FAIL;
+      const item = valuesStep(value[key], mode, undefined, output);
+      if (item === FAIL) return FAIL;
+      if (result) setOwn(result, key, item);
+    }
+    return result || value;
+  };
+}
+
+/**
+ * Wraps the step of an object or array structure to count how deep the value is,
+ * which tells lazy steps whether data they meet again is the same value or one nested in it.
+ *
+ * @param step - The step of the object or array structure.
+ * @param ctx - The compile context.
+ * @returns The step, counting depth in recursive structures.
+ */
+function nest(step: Step, ctx: CompileContext): Step {
+  return (value, mode, inherited, output) => {
+    if (!ctx.recursive) return step(value, mode, inherited, output);
+    ctx.depth++;
+    try {
+      return step(value, mode, inherited, output);
+    } finally {
+      ctx.depth--;
+    }
+  };
+}
+
+/**
+ * Compiles a structure into a step, mirroring the interpreter node by node.
+ *
+ * @param structure - The structure.
+ * @param ctx - The compile context.
+ * @returns The compiled step.
+ */
+function compileNode(structure: Structure, ctx: CompileContext): Step {
+  if (isModifier(structure)) {
+    const { optional, nullable, hasDefault, defaultValue, unknownKeys } =
+      structure;
+    // Transforms of the inner structure run first, so they can turn a value into a missing one
+    const inner = structure.structure;
+    const transforms = isTransformed(inner) ? inner.transforms : undefined;
+    const step = compileNode(
+      isTransformed(inner) ? inner.structure : inner,
+      ctx
+    );
+    return (value, mode, inherited, output) => {
+      if (transforms) {
+        value = runTransforms(transforms, value);
+        if (value === FAIL) return FAIL;
+      }
+      if (value === undefined && hasDefault) {
+        return typeof defaultValue === "function"
+          ? defaultValue()
+          : defaultValue;
+      }
+      if (value === undefined && optional) return undefined;
+      if (value === null && nullable) return null;
+      return step(value, mode, unknownKeys || inherited, output);
+    };
+  }
+
+  if (isLazy(structure)) {
+    const known = ctx.lazySteps.get(structure);
+    if (known) return known;
+    ctx.recursive = true;
+    let target: Step;
+    const { ancestors } = ctx;
+    // Like the interpreter, data met again by a lazy structure inside itself is cyclic,
+    // unless it is the same value passed from one lazy structure straight to another
+    const step: Step = (value, mode, inherited, output) => {
+      if (typeof value !== "object" || value === null)
+        return target(value, mode, inherited, output);
+      const depth = ancestors.get(value);
+      if (depth !== undefined) {
+        return depth === ctx.depth
+          ? target(value, mode, inherited, output)
+          : FAIL;
+      }
+      ancestors.set(value, ctx.depth);
+      try {
+        return target(value, mode, inherited, output);
+      } finally {
+        ancestors.delete(value);
+      }
+    };
+    // Registered before compiling the target, which may refer back to this structure
+    ctx.lazySteps.set(structure, step);
+    target = compileNode(structure[STRUCTURE], ctx);
+    return step;
+  }
+
+  if (isStructureLike(structure)) return compileNode(structure[STRUCTURE], ctx);
+
+  if (isTransformed(structure)) {
+    const { transforms } = structure;
+    const step = compileNode(structure.structure, ctx);
+    return (value, mode, inherited, output) => {
+      value = runTransforms(transforms, value);
+      return value === FAIL ? FAIL : step(value, mode, inherited, output);
+    };
+  }
+
+  if (isRefined(structure)) {
+    const { refinements } = structure;
+    const step = compileNode(structure.structure, ctx);
+    return (value, mode, inherited) => {
+      // Refinements see the validated value, e.g. with defaults filled in
+      const result = step(value, mode, inherited, true);
+      if (result === FAIL) return FAIL;
+      for (let i = 0; i < refinements.length; i++) {
+        if (!passes(refinements[i], result)) return FAIL;
+      }
+      return result;
+    };
+  }
+
+  if (isLiteral(structure)) {
+    const { values } = structure;
+    return (value) => (values.includes(value) ? value : FAIL);
+  }
+
+  if (isUnion(structure)) {
+    const steps = structure.options.map((option) => compileNode(option, ctx));
+    return (value, mode, inherited, output) => {
+      for (let i = 0; i < steps.length; i++) {
+        const result = steps[i](value, mode, inherited, output);
+        if (result !== FAIL) return result;
+      }
+      return FAIL;
+    };
+  }
+
+  if (isRecord(structure)) {
+    return nest(compileRecord(structure, ctx), ctx);
+  }
+
+  if (typeof structure === "string") {
+    return (value) =>
+      typeof value !== structure || value === null ? FAIL : value;
+  }
+  if (isArrayStructure(structure))
+    return nest(compileArray(structure, ctx), ctx);
+  if (Array.isArray(structure)) {
+    // Longer bare arrays are ambiguous and never match, as in the interpreter
+    if (structure.length > 1) return () => FAIL;
+    return nest(compileArray(arrayOf(structure[0]), ctx), ctx);
+  }
+  if (typeof structure === "object" && structure !== null) {
+    return nest(
+      compileObject(structure as { [key: string]: Structure }, ctx),
+      ctx
+    );
+  }
+  return () => FAIL;
+}
+
+/**
+ * Compiles a structure into a validator for hot paths, e.g. a queue consumer.
+ * The structure is walked once, up front. Valid data is then checked without building paths or
+ * copying objects; only invalid data is handed to `validateByStructure` to report its issues,
+ * so results are identical to the interpreter's.
+ *
+ * The structure must not change after compiling. Transforms, refinements and default factories
+ * run again when data is invalid, so they should be free of side effects.
+ *
+ * @example
+ * const validateOrder = compile(orderStructure);
+ * for (const message of batch) {
+ *   const error = validateOrder(message);
+ *   if (error) reject(message, error);
+ * }
+ *
+ * @param structure - The structure to compile.
+ * @returns The compiled validator.
+ */
+function compile<S extends Structure>(structure: S): CompiledValidator<S> {
+  const step = compileNode(structure, {
+    lazySteps: new Map(),
+    recursive: false,
+    ancestors: new Map(),
+    depth: 0,
+  });
+  const modeOf = (options: string | ValidateOptions): UnknownKeysMode =>
+    (typeof options === "object" && options.unknownKeys) || "allow";
+
+  function validator(
+    arg: unknown,
+    pathOrOptions: string | ValidateOptions = ""
+  ): Throwing | StructureValidationResult<Infer<S>> {
+    const mode = modeOf(pathOrOptions);
+    if (typeof pathOrOptions === "object" && pathOrOptions.allErrors) {
+      const value = step(arg, mode, undefined, true);
+      if (value !== FAIL) return { valid: true, issues: [], value };
+    } else if (step(arg, mode, undefined, false) !== FAIL) {
+      return undefined;
+    }
+    return validateByStructure(structure, arg, pathOrOptions);
+  }
+
+  return Object.assign(validator as CompiledValidator<S>, {
+    structure,
+    is: (
+      arg: unknown,
+      options: Omit<ValidateOptions, "allErrors"> = {}
+    ): arg is InferInput<S> =>
+      step(arg, modeOf(options), undefined, false) !== FAIL ||
+      isValidByStructure(structure, arg, options),
+    parse: (
+      arg: unknown,
+      options: Omit<ValidateOptions, "allErrors"> = {}
+    ): Infer<S> => {
+      const value = step(arg, modeOf(options), undefined, true);
+      return value === FAIL ? parseByStructure(structure, arg, options) : value;
+    },
+  });
+}
+
+export { compile };
+export type { CompiledValidator };
@@ -0,0 +1,113 @@
+/**
+ * Characters that look like other characters, as `[character, prototype]` pairs from the
+ * Unicode confusables data (UTS #39 `confusables.txt`): the ASCII, Latin, Greek, Cyrillic, Armenian
+ * and Cherokee lookalikes used in impersonation. Full-width and mathematical letters and digits
+ * are added in `confusables.ts`.
+ */
+const confusableCharacterList: [string, string][] = [
+  ["0", "O"], // DIGIT ZERO
+  ["1", "l"], // DIGIT ONE
+  ["I", "l"], // LATIN CAPITAL LETTER I
+  ["|", "l"], // VERTICAL LINE
+  ["m", "rn"], // LATIN SMALL LETTER M
+  ["\u0131", "i"], // LATIN SMALL LETTER DOTLESS I
+  ["\u01c0", "l"], // LATIN LETTER DENTAL CLICK
+  ["\u0251", "a"], // LATIN SMALL LETTER ALPHA
+  ["\u0261", "g"], // LATIN SMALL LETTER SCRIPT G
+  ["\u0269", "i"], // LATIN SMALL LETTER IOTA
+  ["\u026a", "i"], // LATIN LETTER SMALL CAPITAL I
+  ["\u028b", "u"], // LATIN SMALL LETTER V WITH HOOK
+  ["\u2113", "l"], // SCRIPT SMALL L
+  ["\u2160", "l"], // ROMAN NUMERAL ONE
+  ["\u2170", "i"], // SMALL ROMAN NUMERAL ONE
+  ["\u217c", "l"], // SMALL ROMAN NUMERAL FIFTY
+  ["\u217d", "c"], // SMALL ROMAN NUMERAL ONE HUNDRED
+  ["\u217e", "d"], // SMALL ROMAN NUMERAL FIVE HUNDRED
+  ["\u217f", "rn"], // SMALL ROMAN NUMERAL ONE THOUSAND
+  ["\u0391", "A"], // GREEK CAPITAL LETTER ALPHA
+  ["\u0392", "B"], // GREEK CAPITAL LETTER BETA
+  ["\u0395", "E"], // GREEK CAPITAL LETTER EPSILON
+  ["\u0396", "Z"], // GREEK CAPITAL LETTER ZETA
+  ["\u0397", "H"], // GREEK CAPITAL LETTER ETA
+  ["\u0399", "l"], // GREEK CAPITAL LETTER IOTA
+  ["\u039a", "K"], // GREEK CAPITAL LETTER KAPPA
+  ["\u039c", "M"], // GREEK CAPITAL LETTER MU
+  ["\u039d", "N"], // GREEK CAPITAL LETTER NU
+  ["\u039f", "O"], // GREEK CAPITAL LETTER OMICRON
+  ["\u03a1", "P"], // GREEK CAPITAL LETTER RHO
+  ["\u03a4", "T"], // GREEK CAPITAL LETTER TAU
+  ["\u03a5", "Y"], // GREEK CAPITAL LETTER UPSILON
+  ["\u03a7", "X"], // GREEK CAPITAL LETTER CHI
+  ["\u03b1", "a"], // GREEK SMALL LETTER ALPHA
+  ["\u03b3", "y"], // GREEK SMALL LETTER GAMMA
+  ["\u03b9", "i"], // GREEK SMALL LETTER IOTA
+  ["\u03bd", "v"], // GREEK SMALL LETTER NU
+  ["\u03bf", "o"], // GREEK SMALL LETTER OMICRON
+  ["\u03c1", "p"], // GREEK SMALL LETTER RHO
+  ["\u03c3", "o"], // GREEK SMALL LETTER SIGMA
+  ["\u03c5", "u"], // GREEK SMALL LETTER UPSILON
+  ["\u03f2", "c"], // GREEK LUNATE SIGMA SYMBOL
+  ["\u03f3", "j"], // GREEK LETTER YOT
+  ["\u03f9", "C"], // GREEK CAPITAL LUNATE SIGMA SYMBOL
+  ["\u0405", "S"], // CYRILLIC CAPITAL LETTER DZE
+  ["\u0406", "l"], // CYRILLIC CAPITAL LETTER BYELORUSSIAN-UKRAINIAN I
+  ["\u0408", "J"], // CYRILLIC CAPITAL LETTER JE
+  ["\u0410", "A"], // CYRILLIC CAPITAL LETTER A
+  ["\u0412", "B"], // CYRILLIC CAPITAL LETTER VE
+  ["\u0415", "E"], // CYRILLIC CAPITAL LETTER IE
+  ["\u041a", "K"], // CYRILLIC CAPITAL LETTER KA
+  ["\u041c", "M"], // CYRILLIC CAPITAL LETTER EM
+  ["\u041d", "H"], // CYRILLIC CAPITAL LETTER EN
+  ["\u041e", "O"], // CYRILLIC CAPITAL LETTER O
+  ["\u0420", "P"], // CYRILLIC CAPITAL LETTER ER
+  ["\u0421", "C"], // CYRILLIC CAPITAL LETTER ES
+  ["\u0422", "T"], // CYRILLIC CAPITAL LETTER TE
+  ["\u0425", "X"], // CYRILLIC CAPITAL LETTER HA
+  ["\u04ae", "Y"], // CYRILLIC CAPITAL LETTER STRAIGHT U
+  ["\u04c0", "l"], // CYRILLIC LETTER PALOCHKA
+  ["\u051a", "Q"], // CYRILLIC CAPITAL LETTER QA
+  ["\u051c", "W"], // CYRILLIC CAPITAL LETTER WE
+  ["\u0430", "a"], // CYRILLIC SMALL LETTER A
+  ["\u0435", "e"], // CYRILLIC SMALL LETTER IE
+  ["\u043e", "o"], // CYRILLIC SMALL LETTER O
+  ["\u0440", "p"], // CYRILLIC SMALL LETTER ER
+  ["\u0441", "c"], // CYRILLIC SMALL LETTER ES
+  ["\u0443", "y"], // CYRILLIC SMALL LETTER U
+  ["\u0445", "x"], // CYRILLIC SMALL LETTER HA
+  ["\u0455", "s"], // CYRILLIC SMALL LETTER DZE
+  ["\u0456", "i"], // CYRILLIC SMALL LETTER BYELORUSSIAN-UKRAINIAN I
+  ["\u0458", "j"], // CYRILLIC SMALL LETTER JE
+  ["\u04bb", "h"], // CYRILLIC SMALL LETTER SHHA
+  ["\u04cf", "l"], // CYRILLIC SMALL LETTER PALOCHKA
+  ["\u0501", "d"], // CYRILLIC SMALL LETTER KOMI DE
+  ["\u051b", "q"], // CYRILLIC SMALL LETTER QA
+  ["\u051d", "w"], // CYRILLIC SMALL LETTER WE
+  ["\u0555", "O"], // ARMENIAN CAPITAL LETTER OH
+  ["\u054d", "U"], // ARMENIAN CAPITAL LETTER SEH
+  ["\u0570", "h"], // ARMENIAN SMALL LETTER HO
+  ["\u0578", "n"], // ARMENIAN SMALL LETTER VO
+  ["\u057d", "u"], // ARMENIAN SMALL LETTER SEH
+  ["\u0585", "o"], // ARMENIAN SMALL LETTER OH
+  ["\u0581", "g"], // ARMENIAN SMALL LETTER CO
+  ["\u13a0", "D"], // CHEROKEE LETTER A
+  ["\u13a1", "R"], // CHEROKEE LETTER E
+  ["\u13a2", "T"], // CHEROKEE LETTER I
+  ["\u13a9", "Y"], // CHEROKEE LETTER GI
+  ["\u13aa", "A"], // CHEROKEE LETTER GO
+  ["\u13ab", "J"], // CHEROKEE LETTER GU
+  ["\u13ac", "E"], // CHEROKEE LETTER GV
+  ["\u13b3", "W"], // CHEROKEE LETTER LA
+  ["\u13b7", "M"], // CHEROKEE LETTER LU
+  ["\u13bb", "H"], // CHEROKEE LETTER MI
+  ["\u13c0", "G"], // CHEROKEE LETTER NAH
+  ["\u13c3", "Z"], // CHEROKEE LETTER NO
+  ["\u13cf", "b"], // CHEROKEE LETTER SI
+  ["\u13da", "V"], // CHEROKEE LETTER DO
+  ["\u13de", "L"], // CHEROKEE LETTER TLE
+  ["\u13df", "C"], // CHEROKEE LETTER TLI
+  ["\u13e2", "P"], // CHEROKEE LETTER TLV
+  ["\u13e6", "K"], // CHEROKEE LETTER TSO
+  ["\u13f4", "B"], // CHEROKEE LETTER YV
+];
+
+export { confusableCharacterList };
@@ -0,0 +1,154 @@
+import { confusableCharacterList } from "./confusable-characters";
+
+const asciiLetters = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+/**
+ * Prototypes of confusable characters: the bundled pairs, plus full-width ASCII and the
+ * mathematical alphanumeric letters and digits, which normalize to ASCII only under NFKD.
+ */
+const prototypes = new Map<string, string>(confusableCharacterList);
+
+for (let codePoint = 0xff01; codePoint <= 0xff5e; codePoint++) {
+  prototypes.set(
+    String.fromCodePoint(codePoint),
+    String.fromCodePoint(codePoint - 0xfee0)
+  );
+}
+// 13 alphabets of 52 letters from MATHEMATICAL BOLD CAPITAL A, then 5 sets of digits
+for (let alphabet = 0; alphabet < 13; alphabet++) {
+  [...asciiLetters].forEach((letter, index) =>
+    prototypes.set(
+      String.fromCodePoint(0x1d400 + alphabet * 52 + index),
+      letter
+    )
+  );
+}
+for (let codePoint = 0x1d7ce; codePoint <= 0x1d7ff; codePoint++) {
+  prototypes.set(
+    String.fromCodePoint(codePoint),
+    String((codePoint - 0x1d7ce) % 10)
+  );
+}
+// Prototypes are themselves mapped, e.g. full-width "０" → "0" → "O"
+prototypes.forEach((prototype, character) =>
+  prototypes.set(
+    character,
+    [...prototype].map((part) => prototypes.get(part) ?? part).join("")
+  )
+);
+
+/**
+ * The scripts `getScripts` tells apart. Characters of other scripts count as `"Unknown"`.
+ */
+const scripts = [
+  "Latin",
+  "Greek",
+  "Cyrillic",
+  "Armenian",
+  "Georgian",
+  "Hebrew",
+  "Arabic",
+  "Syriac",
+  "Thaana",
+  "Devanagari",
+  "Bengali",
+  "Gurmukhi",
+  "Gujarati",
+  "Oriya",
+  "Tamil",
+  "Telugu",
+  "Kannada",
+  "Malayalam",
+  "Sinhala",
+  "Thai",
+  "Lao",
+  "Tibetan",
+  "Myanmar",
+  "Khmer",
+  "Mongolian",
+  "Ethiopic",
+  "Cherokee",
+  "Hangul",
+  "Hiragana",
+  "Katakana",
+  "Bopomofo",
+  "Han",
+].map((name): [string, RegExp] => [
+  name,
+  new RegExp(`\\p{Script=${name}}`, "u"),
+]);
+
+/**
+ * Script combinations that are normal in one writing system: Japanese, Chinese with Bopomofo,
+ * and Korean, each also with Latin.
+ */
+const allowedCombinations = [
+  ["Latin", "Han", "Hiragana", "Katakana"],
+  ["Latin", "Han", "Bopomofo"],
+  ["Latin", "Han", "Hangul"],
+];
+
+/**
+ * Computes the UTS #39 skeleton of a string: two strings are confusable when their skeletons are equal.
+ * The string is decomposed (NFD), default-ignorable characters like zero-width joiners are removed,
+ * and every character is replaced by its prototype, e.g. Cyrillic "а" by Latin "a", "0" by "O" and "m" by "rn".
+ * The skeleton is meant for comparisons only, not for display.
+ *
+ * @param text - The string.
+ * @returns The skeleton.
+ */
+function skeleton(text: string): string {
+  return [...String(text).normalize("NFD")]
+    .filter((character) => !/\p{Default_Ignorable_Code_Point}/u.test(character))
+    .map((character) => prototypes.get(character) ?? character)
+    .join("")
+    .normalize("NFD");
+}
+
+/**
+ * Whether two identifiers look alike, e.g. `paypal` and `pаypal` with a Cyrillic "а".
+ * Case matters, as it does visually; compare lowercase forms (see `normalizeUserName`) to ignore it.
+ *
+ * @param a - The first identifier.
+ * @param b - The second identifier.
+ * @returns True if their skeletons are equal.
+ */
+function areConfusable(a: string, b: string): boolean {
+  return skeleton(a) === skeleton(b);
+}
+
+/**
+ * Lists the scripts a string is written in, in order of appearance. Characters shared by scripts,
+ * like digits, punctuation and combining marks, don't count.
+ *
+ * @param text - The string.
+ * @returns The script names, e.g. `["Latin", "Cyrillic"]`.
+ */
+function getScripts(text: string): string[] {
+  const found = new Set<string>();
+  for (const character of String(text)) {
+    if (/[\p{Script=Common}\p{Script=Inherited}]/u.test(character)) continue;
+    const script = scripts.find(([, pattern]) => pattern.test(character));
+    found.add(script ? script[0] : "Unknown");
+  }
+  return [...found];
+}
+
+/**
+ * Whether a string mixes scripts, like Latin and Cyrillic in `pаypal`. Mixing Latin, Han and the
+ * Japanese kana, Bopomofo or Hangul is accepted, as in the UTS #39 highly restrictive profile.
+ *
+ * @param text - The string.
+ * @returns True if the string mixes scripts.
+ */
+function isMixedScript(text: string): boolean {
+  const found = getScripts(text);
+  return (
+    found.length > 1 &&
+    !allowedCombinations.some((combination) =>
+      found.every((script) => combination.includes(script))
+    )
+  );
+}
+
+export { skeleton, areConfusable, getScripts, isMixedScript };
@@ -0,0 +1,129 @@
+/**
+ * Well-known disposable (throwaway) email domains. Bundled so the check works offline;
+ * add more with `disposableDomains.add(...)`.
+ */
+const disposableDomainList: string[] = [
+  "0-mail.com",
+  "10minutemail.co.uk",
+  "10minutemail.com",
+  "10minutemail.net",
+  "20minutemail.com",
+  "33mail.com",
+  "anonbox.net",
+  "armyspy.com",
+  "binkmail.com",
+  "bobmail.info",
+  "burnermail.io",
+  "byom.de",
+  "chammy.info",
+  "cuvox.de",
+  "dayrep.com",
+  "deadaddress.com",
+  "despam.org",
+  "devnullmail.com",
+  "discard.email",
+  "dispostable.com",
+  "dodgit.com",
+  "e4ward.com",
+  "einrot.com",
+  "emailfake.com",
+  "emailondeck.com",
+  "emailtemporanea.net",
+  "fakeinbox.com",
+  "fakemailgenerator.com",
+  "fleckens.hu",
+  "getairmail.com",
+  "getnada.com",
+  "grr.la",
+  "guerrillamail.biz",
+  "guerrillamail.com",
+  "guerrillamail.de",
+  "guerrillamail.info",
+  "guerrillamail.net",
+  "guerrillamail.org",
+  "guerrillamailblock.com",
+  "gustr.com",
+  "harakirimail.com",
+  "incognitomail.com",
+  "inboxkitten.com",
+  "jetable.org",
+  "jourrapide.com",
+  "kasmail.com",
+  "letthemeatspam.com",
+  "mailcatch.com",
+  "maildrop.cc",
+  "mailexpire.com",
+  "mailforspam.com",
+  "mailin8r.com",
+  "mailinator.com",
+  "mailinator.net",
+  "mailinator2.com",
+  "mailmoat.com",
+  "mailnesia.com",
+  "mailnull.com",
+  "mailpoof.com",
+  "mailshell.com",
+  "meltmail.com",
+  "minutemail.com",
+  "mintemail.com",
+  "moakt.com",
+  "mohmal.com",
+  "mytemp.email",
+  "mytrashmail.com",
+  "notmailinator.com",
+  "nowmymail.com",
+  "objectmail.com",
+  "pokemail.net",
+  "pookmail.com",
+  "proxymail.eu",
+  "rcpt.at",
+  "rhyta.com",
+  "safetymail.info",
+  "sharklasers.com",
+  "shortmail.net",
+  "sneakemail.com",
+  "sogetthis.com",
+  "spam4.me",
+  "spamavert.com",
+  "spambob.com",
+  "spambox.us",
+  "spamex.com",
+  "spamfree24.org",
+  "spamgourmet.com",
+  "spamhole.com",
+  "spaml.com",
+  "spammotel.com",
+  "superrito.com",
+  "suremail.info",
+  "teleworm.us",
+  "temp-mail.io",
+  "temp-mail.org",
+  "tempail.com",
+  "tempemail.net",
+  "tempinbox.com",
+  "tempmail.net",
+  "tempmailo.com",
+  "tempomail.fr",
+  "temporaryinbox.com",
+  "tempr.email",
+  "thisisnotmyrealemail.com",
+  "throwawaymail.com",
+  "tmail.ws",
+  "tradermail.info",
+  "trash-mail.com",
+  "trashmail.com",
+  "trashmail.de",
+  "trashmail.net",
+  "trashymail.com",
+  "trbvm.com",
+  "veryrealemail.com",
+  "wegwerfmail.de",
+  "wegwerfmail.net",
+  "wh4f.org",
+  "yopmail.com",
+  "yopmail.fr",
+  "yopmail.net",
+  "zippymail.info",
+];
+
+export { disposableDomainList };
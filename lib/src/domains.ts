@@ -0,0 +1,119 @@
+import { disposableDomainList } from "./disposable-domains";
+
+/**
+ * Options for `DomainList`.
+ *
+ * - `subdomains` - Whether plain entries like `example.com` also match `mail.example.com` (default false).
+ */
+interface DomainListOptions {
+  subdomains?: boolean;
+}
+
+/**
+ * Converts a domain to its lowercase ASCII (punycode) form.
+ *
+ * @param domain - The domain, possibly internationalized.
+ * @returns The ASCII domain, or undefined if it is not a valid host name.
+ */
+function toASCIIDomain(domain: string): string | undefined {
+  if (!domain || /[\s/\\?#@:%[\]<>"]/.test(domain) || domain.endsWith(".")) {
+    return undefined;
+  }
+  try {
+    return new URL(`http://${domain}`).hostname;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * A set of domains with explicit subdomain rules:
+ *
+ * - `example.com` matches `example.com`, and its subdomains only if the list has `subdomains: true`.
+ * - `*.example.com` matches the subdomains of `example.com`, but not `example.com` itself.
+ *
+ * Entries and looked up domains are compared in lowercase ASCII, so IDN and punycode forms match each other.
+ */
+class DomainList {
+  readonly subdomains: boolean;
+  private readonly exact = new Set<string>();
+  private readonly parents = new Set<string>();
+
+  constructor(entries: Iterable<string> = [], options: DomainListOptions = {}) {
+    this.subdomains = !!options.subdomains;
+    this.add(entries);
+  }
+
+  /**
+   * Parses a domain list file: one domain per line, blank lines and `#` comments ignored.
+   *
+   * @param text - The content of the file.
+   * @returns The domains.
+   */
+  static parse(text: string): string[] {
+    return text
+      .split(/\r?\n/)
+      .map((line) => line.replace(/#.*/, "").trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Adds domains to the list.
+   *
+   * @example
+   * disposableDomains.add(fs.readFileSync("disposable.txt", "utf8"));
+   *
+   * @param entries - The domains, or the content of a domain list file (see `DomainList.parse`).
+   * @returns The list.
+   */
+  add(entries: Iterable<string> | string): this {
+    const list =
+      typeof entries === "string" ? DomainList.parse(entries) : entries;
+    for (const entry of list) {
+      const wildcard = entry.startsWith("*.");
+      const domain = toASCIIDomain(wildcard ? entry.slice(2) : entry.trim());
+      if (!domain) continue;
+      if (wildcard || this.subdomains) this.parents.add(domain);
+      if (!wildcard) this.exact.add(domain);
+    }
+    return this;
+  }
+
+  /**
+   * Removes every domain from the list, e.g. before loading a fresh file.
+   *
+   * @returns The list.
+   */
+  clear(): this {
+    this.exact.clear();
+    this.parents.clear();
+    return this;
+  }
+
+  /**
+   * Whether a domain is on the list.
+   *
+   * @param domain - The domain to look up.
+   * @returns True if an entry matches the domain.
+   */
+  has(domain: string): boolean {
+    const ascii = toASCIIDomain(domain);
+    if (!ascii) return false;
+    if (this.exact.has(ascii)) return true;
+    const labels = ascii.split(".");
+    return labels.some(
+      (_, index) => index > 0 && this.parents.has(labels.slice(index).join("."))
+    );
+  }
+}
+
+/**
+ * The bundled list of disposable email domains. Matches their subdomains too,
+ * since throwaway services often hand out random subdomains.
+ */
+const disposableDomains = new DomainList(disposableDomainList, {
+  subdomains: true,
+});
+
+export { DomainList, disposableDomains, toASCIIDomain };
+export type { DomainListOptions };
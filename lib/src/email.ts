@@ -0,0 +1,248 @@
+import { ValidationError } from "./errors";
+import { DomainList, disposableDomains, toASCIIDomain } from "./domains";
+
+/**
+ * Which domains email addresses may use. Lists are `DomainList`s or arrays of entries
+ * (`example.com` for the domain itself, `*.example.com` for its subdomains). Every rule set applies.
+ *
+ * - `allowDomains` - Only these domains are accepted.
+ * - `denyDomains` - These domains are rejected.
+ * - `rejectDisposable` - Reject disposable email domains: `true` for the bundled `disposableDomains`, or a list.
+ */
+interface EmailDomainPolicy {
+  allowDomains?: DomainList | string[];
+  denyDomains?: DomainList | string[];
+  rejectDisposable?: boolean | DomainList;
+}
+
+/**
+ * Options for `validateEmail` and `normalizeEmail`.
+ *
+ * - `minLength` / `maxLength` - Bounds of the whole address (default 5 / 254, the RFC 5321 limit).
+ * - `allowQuoted` - Accept quoted local parts like `"john doe"@example.com` (default true).
+ * - `allowUnicode` - Accept internationalized domain names like `bücher.de` (default true).
+ * - `provider` - Apply provider-specific rules in `normalizeEmail`: Gmail ignores dots,
+ *   most providers ignore `+tag` suffixes (default false).
+ * - The domain rules of `EmailDomainPolicy`.
+ */
+interface EmailOptions extends EmailDomainPolicy {
+  minLength?: number;
+  maxLength?: number;
+  allowQuoted?: boolean;
+  allowUnicode?: boolean;
+  provider?: boolean;
+}
+
+/**
+ * RFC 5321 limits: 64 octets for the local part and 253 for a domain name.
+ */
+const MAX_LOCAL_LENGTH = 64;
+const MAX_DOMAIN_LENGTH = 253;
+
+const atext = "[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]";
+const dotAtomRegex = new RegExp(`^${atext}+(\\.${atext}+)*$`);
+const quotedStringRegex = /^"([\x20\x21\x23-\x5b\x5d-\x7e]|\\[\x20-\x7e])*"$/;
+const labelRegex = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+const tldRegex = /^([a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+/**
+ * How mailbox providers route variants of an address to the same mailbox.
+ *
+ * - `canonical` - The domain the provider's aliases normalize to.
+ * - `ignoreDots` - Dots in the local part are ignored.
+ * - `tag` - The separator of sub-addressing tags, e.g. `user+newsletter`.
+ */
+interface EmailProvider {
+  domains: string[];
+  canonical?: string;
+  ignoreDots?: boolean;
+  tag: string;
+}
+
+const providers: EmailProvider[] = [
+  {
+    domains: ["gmail.com", "googlemail.com"],
+    canonical: "gmail.com",
+    ignoreDots: true,
+    tag: "+",
+  },
+  { domains: ["outlook.com", "hotmail.com", "live.com", "msn.com"], tag: "+" },
+  {
+    domains: ["icloud.com", "me.com", "mac.com"],
+    canonical: "icloud.com",
+    tag: "+",
+  },
+  { domains: ["yahoo.com"], tag: "-" },
+  { domains: ["fastmail.com", "fastmail.fm"], tag: "+" },
+  { domains: ["proton.me", "protonmail.com", "pm.me"], tag: "+" },
+];
+
+/**
+ * Splits an email address into its local part and ASCII domain, checking both against RFC 5321/5322.
+ *
+ * @param email - The email address.
+ * @param options - Validation options.
+ * @returns The local part as written and the lowercase ASCII domain.
+ * @throws ValidationError if the address is invalid.
+ */
+function parseEmail(
+  email: string,
+  options: EmailOptions
+): { local: string; domain: string } {
+  const {
+    minLength = 5,
+    maxLength = 254,
+    allowQuoted = true,
+    allowUnicode = true,
+  } = options;
+
+  if (email.length < minLength) {
+    throw new ValidationError("email.too_short", { min: minLength });
+  }
+  if (email.length > maxLength) {
+    throw new ValidationError("email.too_long", { max: maxLength });
+  }
+
+  // The domain can't contain "@", so the last one separates it even from a quoted local part
+  const at = email.lastIndexOf("@");
+  if (at <= 0 || at === email.length - 1) {
+    throw new ValidationError("email.invalid");
+  }
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1);
+
+  if (local.length > MAX_LOCAL_LENGTH) {
+    throw new ValidationError("email.local_too_long", {
+      max: MAX_LOCAL_LENGTH,
+    });
+  }
+  const quoted = local.startsWith('"');
+  if (
+    quoted
+      ? !allowQuoted || !quotedStringRegex.test(local)
+      : !dotAtomRegex.test(local)
+  ) {
+    throw new ValidationError("email.invalid_local");
+  }
+
+  if (!allowUnicode && /[^\x00-\x7f]/.test(domain)) {
+    throw new ValidationError("email.invalid_domain");
+  }
+  const ascii = toASCIIDomain(domain);
+  if (ascii && ascii.length > MAX_DOMAIN_LENGTH) {
+    throw new ValidationError("email.domain_too_long", {
+      max: MAX_DOMAIN_LENGTH,
+    });
+  }
+  const labels = ascii ? ascii.split(".") : [];
+  if (
+    !ascii ||
+    labels.length < 2 ||
+    !labels.every((label) => labelRegex.test(label)) ||
+    !tldRegex.test(labels[labels.length - 1])
+  ) {
+    throw new ValidationError("email.invalid_domain");
+  }
+
+  checkDomainPolicy(ascii, options);
+  return { local, domain: ascii };
+}
+
+const toDomainList = (list: DomainList | string[]): DomainList =>
+  list instanceof DomainList ? list : new DomainList(list);
+
+/**
+ * Checks the domain of an email address against a domain policy.
+ *
+ * @param domain - The lowercase ASCII domain.
+ * @param policy - The domain rules.
+ * @throws ValidationError if a rule rejects the domain.
+ */
+function checkDomainPolicy(domain: string, policy: EmailDomainPolicy): void {
+  const { allowDomains, denyDomains, rejectDisposable } = policy;
+  if (denyDomains && toDomainList(denyDomains).has(domain)) {
+    throw new ValidationError("email.domain_denied", { domain });
+  }
+  if (allowDomains && !toDomainList(allowDomains).has(domain)) {
+    throw new ValidationError("email.domain_not_allowed", { domain });
+  }
+  const disposable =
+    rejectDisposable === true ? disposableDomains : rejectDisposable;
+  if (disposable && disposable.has(domain)) {
+    throw new ValidationError("email.disposable", { domain });
+  }
+}
+
+/**
+ * Whether an email address, or a bare domain, belongs to a disposable email service.
+ *
+ * @param emailOrDomain - The email address or domain.
+ * @param list - The disposable domains (default: the bundled `disposableDomains`).
+ * @returns True if the domain is on the list.
+ */
+function isDisposableEmail(
+  emailOrDomain: string,
+  list: DomainList = disposableDomains
+): boolean {
+  return list.has(emailOrDomain.slice(emailOrDomain.lastIndexOf("@") + 1));
+}
+
+/**
+ * Validates if the provided email address is in a valid format and adheres to specific length constraints.
+ * Checks the local part (dot-atom or quoted string, at most 64 characters) and the domain
+ * (internationalized domains allowed, at most 253 characters) separately.
+ *
+ * @param email - The email address to be validated.
+ * @param possibleEmailMinLength - The minimum length of the email (default 5), or `EmailOptions`.
+ * @param possibleEmailLength - The maximum length of the email (default 254), when a minimum length is given.
+ * @throws ValidationError if the email format or length is invalid.
+ */
+function validateEmail(
+  email: string,
+  possibleEmailMinLength: number | EmailOptions = 5,
+  possibleEmailLength: number = 254
+): void {
+  parseEmail(
+    email,
+    typeof possibleEmailMinLength === "number"
+      ? { minLength: possibleEmailMinLength, maxLength: possibleEmailLength }
+      : possibleEmailMinLength
+  );
+}
+
+/**
+ * Validates an email address and returns a normalized form for uniqueness checks:
+ * the domain in lowercase ASCII (punycode), and the local part in lowercase unless it is quoted.
+ * With `provider: true`, also removes the dots Gmail ignores, the `+tag` suffixes providers ignore,
+ * and maps provider aliases like `googlemail.com` to their main domain.
+ *
+ * @example
+ * normalizeEmail("John.Doe+news@GoogleMail.com", { provider: true }); // "johndoe@gmail.com"
+ *
+ * @param email - The email address to normalize.
+ * @param options - Validation and normalization options.
+ * @returns The normalized address.
+ * @throws ValidationError if the email format or length is invalid.
+ */
+function normalizeEmail(email: string, options: EmailOptions = {}): string {
+  const parsed = parseEmail(email, options);
+  let { domain } = parsed;
+  if (parsed.local.startsWith('"')) {
+    return `${parsed.local}@${domain}`;
+  }
+
+  let local = parsed.local.toLowerCase();
+  const provider =
+    options.provider &&
+    providers.find((candidate) => candidate.domains.includes(domain));
+  if (provider) {
+    const tag = local.indexOf(provider.tag);
+    if (tag > 0) local = local.slice(0, tag);
+    if (provider.ignoreDots) local = local.replace(/\./g, "");
+    domain = provider.canonical || domain;
+  }
+  return `${local}@${domain}`;
+}
+
+export { validateEmail, normalizeEmail, isDisposableEmail };
+export type { EmailOptions, EmailDomainPolicy };
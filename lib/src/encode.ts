@@ -0,0 +1,142 @@
+/**
+ * Escapes one code point for an output context, or returns undefined to keep it as is.
+ */
+type CodePointEscape = (
+  codePoint: number,
+  character: string
+) => string | undefined;
+
+const REPLACEMENT_CHARACTER = 0xfffd;
+
+const isAlphanumeric = (codePoint: number): boolean =>
+  (codePoint >= 0x30 && codePoint <= 0x39) ||
+  (codePoint >= 0x41 && codePoint <= 0x5a) ||
+  (codePoint >= 0x61 && codePoint <= 0x7a);
+
+const hex = (codePoint: number, width: number = 2): string =>
+  codePoint.toString(16).toUpperCase().padStart(width, "0");
+
+/**
+ * The core every encoder shares: walks the input by code point and lets the context escape each one.
+ * Lone surrogates, which no context can represent safely, become U+FFFD first.
+ * `null` and `undefined` encode to an empty string; other values are converted with `String`.
+ *
+ * @param input - The untrusted value.
+ * @param escape - The escaping rule of the output context.
+ * @returns The encoded string.
+ */
+function encodeWith(input: unknown, escape: CodePointEscape): string {
+  if (input === null || input === undefined) return "";
+  let output = "";
+  for (const character of String(input)) {
+    let codePoint = character.codePointAt(0) as number;
+    if (codePoint >= 0xd800 && codePoint <= 0xdfff) {
+      codePoint = REPLACEMENT_CHARACTER;
+    }
+    const safe = String.fromCodePoint(codePoint);
+    const escaped = escape(codePoint, safe);
+    output += escaped === undefined ? safe : escaped;
+  }
+  return output;
+}
+
+const htmlEntities: { [character: string]: string } = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Encodes text for the content of an HTML element, e.g. `<p>${encodeHTML(name)}</p>`.
+ * Not safe inside `<script>`, `<style>` or attributes; use the encoder of that context.
+ *
+ * @param input - The untrusted value.
+ * @returns The encoded text.
+ */
+function encodeHTML(input: unknown): string {
+  return encodeWith(input, (codePoint, character) =>
+    codePoint === 0 ? "&#xFFFD;" : htmlEntities[character]
+  );
+}
+
+/**
+ * Encodes text for an HTML attribute value, e.g. `<a title="${encodeHTMLAttribute(title)}">`.
+ * Every ASCII character but letters and digits is encoded, so the value is safe even unquoted.
+ * Not enough for attributes that are URLs (`href`, `src`) or event handlers (`onclick`).
+ *
+ * @param input - The untrusted value.
+ * @returns The encoded attribute value.
+ */
+function encodeHTMLAttribute(input: unknown): string {
+  return encodeWith(input, (codePoint, character) => {
+    if (codePoint === 0) return "&#xFFFD;";
+    if (codePoint > 0x7f || isAlphanumeric(codePoint)) return undefined;
+    return htmlEntities[character] || `&#x${hex(codePoint)};`;
+  });
+}
+
+/**
+ * Encodes text for a JavaScript string literal, quoted with `"`, `'` or `` ` ``,
+ * e.g. `<script>const name = "${encodeJSString(name)}";</script>`.
+ * Every ASCII character but letters and digits is escaped as `\xHH`, so the output can't close the
+ * string, the `<script>` element or a template literal. Line and paragraph separators are escaped too.
+ *
+ * @param input - The untrusted value.
+ * @returns The encoded string contents, without quotes.
+ */
+function encodeJSString(input: unknown): string {
+  return encodeWith(input, (codePoint) => {
+    if (codePoint === 0x2028 || codePoint === 0x2029) {
+      return `\\u${hex(codePoint, 4)}`;
+    }
+    if (codePoint > 0x7f || isAlphanumeric(codePoint)) return undefined;
+    return `\\x${hex(codePoint)}`;
+  });
+}
+
+/**
+ * Encodes text for a quoted CSS string, e.g. `content: "${encodeCSSString(label)}";`.
+ * Every ASCII character but letters and digits is escaped as `\HH ` (the space ends the escape).
+ * Never use it to build unquoted values, selectors or `url()` contents.
+ *
+ * @param input - The untrusted value.
+ * @returns The encoded string contents, without quotes.
+ */
+function encodeCSSString(input: unknown): string {
+  return encodeWith(input, (codePoint) => {
+    if (codePoint === 0) return `\\${hex(REPLACEMENT_CHARACTER)} `;
+    if (codePoint > 0x7f || isAlphanumeric(codePoint)) return undefined;
+    return `\\${hex(codePoint)} `;
+  });
+}
+
+/**
+ * Encodes text for one component of a URL: a path segment, a query parameter name or value, or a fragment,
+ * e.g. `/users/${encodeURLComponent(name)}?q=${encodeURLComponent(query)}`.
+ * Only RFC 3986 unreserved characters (`A-Z a-z 0-9 - . _ ~`) are kept; everything else is percent-encoded as UTF-8.
+ * Never use it for a whole URL; validate those with `validateURL`.
+ *
+ * @param input - The untrusted value.
+ * @returns The encoded component.
+ */
+function encodeURLComponent(input: unknown): string {
+  return encodeWith(input, (codePoint, character) => {
+    if (isAlphanumeric(codePoint) || "-._~".includes(character)) {
+      return undefined;
+    }
+    // Lone surrogates are gone by now, so encodeURIComponent can't throw
+    return codePoint < 0x80
+      ? `%${hex(codePoint)}`
+      : encodeURIComponent(character);
+  });
+}
+
+export {
+  encodeHTML,
+  encodeHTMLAttribute,
+  encodeJSString,
+  encodeCSSString,
+  encodeURLComponent,
+};
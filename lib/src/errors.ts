@@ -0,0 +1,156 @@
+import { en, ru } from "./messages";
+import type { MessageCatalog } from "./messages";
+import type { StructureIssue } from "./structure";
+
+const catalogs: { [locale: string]: MessageCatalog } = {
+  en: { ...en },
+  ru: { ...ru },
+};
+let currentLocale = "en";
+
+/**
+ * Adds or overrides messages for a locale. Codes missing from a locale fall back to English.
+ *
+ * @param locale - The locale the messages are written in, e.g. `"ru"`.
+ * @param catalog - Message templates keyed by error code.
+ */
+function registerMessages(locale: string, catalog: MessageCatalog): void {
+  catalogs[locale] = { ...catalogs[locale], ...catalog };
+}
+
+/**
+ * Sets the locale used to render messages when none is passed explicitly.
+ *
+ * @param locale - The locale to use, e.g. `"ru"`.
+ */
+function setLocale(locale: string): void {
+  currentLocale = locale;
+}
+
+/**
+ * Returns the locale used to render messages when none is passed explicitly.
+ *
+ * @returns The current locale.
+ */
+function getLocale(): string {
+  return currentLocale;
+}
+
+/**
+ * Renders the message of an error code from the catalog of `locale`.
+ * `{param}` placeholders are replaced with the matching params; arrays are joined with commas.
+ *
+ * @param code - The error code.
+ * @param params - The params of the error.
+ * @param locale - The locale to render in (default: the current locale).
+ * @returns The rendered message, or the code itself if no catalog knows it.
+ */
+function formatMessage(
+  code: string,
+  params: { [key: string]: any } = {},
+  locale: string = currentLocale
+): string {
+  const template =
+    (catalogs[locale] && catalogs[locale][code]) || catalogs.en[code];
+  if (template === undefined) return code;
+  if (typeof template === "function") return template(params);
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+    const value = params[name];
+    return Array.isArray(value) ? value.join(", ") : String(value);
+  });
+}
+
+/**
+ * Options for `ValidationError`.
+ *
+ * - `path` - Where in the validated data the error occurred (default `""`).
+ * - `message` - A fixed message, used instead of the catalog.
+ * - `locale` - The locale to render the message in (default: the current locale).
+ * - `issues` - Every issue behind the error, when it comes from a structure.
+ */
+interface ValidationErrorOptions {
+  path?: string;
+  message?: string;
+  locale?: string;
+  issues?: StructureIssue[];
+}
+
+/**
+ * Error thrown or returned by every validator in this library.
+ * Carries a stable `code`, the `path` of the failing value and the `params` of the failed constraint
+ * (e.g. `min`, `max`, `expected`), so callers can react to errors without matching message strings.
+ */
+class ValidationError extends Error {
+  readonly code: string;
+  readonly path: string;
+  readonly params: { [key: string]: any };
+  readonly issues: StructureIssue[];
+
+  constructor(
+    code: string,
+    params: { [key: string]: any } = {},
+    options: ValidationErrorOptions = {}
+  ) {
+    super(
+      options.message ||
+        formatMessage(
+          code,
+          { ...params, path: options.path || "" },
+          options.locale
+        )
+    );
+    this.name = "ValidationError";
+    this.code = code;
+    this.path = options.path || "";
+    this.params = params;
+    this.issues = options.issues || [];
+  }
+
+  /**
+   * Builds the error for the first of a list of structure issues, keeping all of them.
+   *
+   * @param issues - The issues found by `validateByStructure`.
+   * @returns The error.
+   */
+  static fromIssues(issues: StructureIssue[]): ValidationError {
+    const [first] = issues;
+    return new ValidationError(first.code, first.params, {
+      path: first.path,
+      message: first.message,
+      issues,
+    });
+  }
+
+  /**
+   * Renders the message of this error in another locale.
+   *
+   * @param locale - The locale to render in.
+   * @returns The rendered message.
+   */
+  format(locale: string): string {
+    return formatMessage(
+      this.code,
+      { ...this.params, path: this.path },
+      locale
+    );
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      path: this.path,
+      params: this.params,
+      message: this.message,
+    };
+  }
+}
+
+export {
+  ValidationError,
+  registerMessages,
+  setLocale,
+  getLocale,
+  formatMessage,
+};
+export type { ValidationErrorOptions };
@@ -0,0 +1,214 @@
+import type {
+  Structure,
+  StructureModifier,
+  ArrayStructure,
+  RefinedStructure,
+  TransformedStructure,
+  LiteralStructure,
+  UnionStructure,
+  RecordStructure,
+  LazyStructure,
+} from "./structure";
+
+/**
+ * Type-only brands used by schemas to carry their structure and modifiers through the type system.
+ * They never exist at runtime.
+ */
+export declare const SHAPE: unique symbol;
+export declare const OPTIONAL: unique symbol;
+export declare const NULLABLE: unique symbol;
+export declare const DEFAULTED: unique symbol;
+export declare const TRANSFORMED: unique symbol;
+/**
+ * Type-only key carrying the validated type declared for a `lazy` structure.
+ */
+export declare const DECLARED_TYPE: unique symbol;
+
+/**
+ * Maps the type names accepted in structures to the TypeScript types they stand for.
+ */
+interface TypeNames {
+  string: string;
+  number: number;
+  bigint: bigint;
+  boolean: boolean;
+  symbol: symbol;
+  undefined: undefined;
+  object: object;
+  function: (...args: any[]) => any;
+}
+
+/**
+ * The type names `validateByStructure` understands as bare string structures.
+ */
+type StructureTypeName = keyof TypeNames;
+
+type Modifier = StructureModifier;
+
+/**
+ * `Base` with the types of some of its fields narrowed to `Fields`.
+ */
+type With<Base, Fields> = Omit<Base, keyof Fields> & Fields;
+
+/**
+ * Precise return types of the structure helpers, keeping the wrapped structures for `Infer`.
+ */
+type Modified<S> = S extends Modifier ? S : With<Modifier, { structure: S }>;
+type Optional<S> = With<Modified<S>, { optional: true }>;
+type Nullable<S> = With<Modified<S>, { nullable: true }>;
+type Defaulted<S> = With<Modified<S>, { hasDefault: true }>;
+type Refined<S> = S extends Modifier
+  ? S
+  : With<RefinedStructure, { structure: S }>;
+type Transformed<S> = S extends Modifier
+  ? With<S, { structure: Transformed<S["structure"]> }>
+  : With<TransformedStructure, { structure: S }>;
+type ArrayOf<S> = With<ArrayStructure, { items: [S]; tuple: false }>;
+type TupleOf<T, R> = With<ArrayStructure, { items: T; tuple: true; rest: R }>;
+type LiteralOf<V extends any[]> = With<LiteralStructure, { values: V }>;
+type UnionOf<T> = With<UnionStructure, { options: T }>;
+type RecordOf<V> = With<RecordStructure, { values: V }>;
+
+type Flatten<T> = { [K in keyof T]: T[K] };
+
+/**
+ * Whether a structure may be missing: in input mode when it is optional or has a default,
+ * in output mode only when it is optional without a default (defaults are filled in).
+ */
+type MayBeMissing<S, I extends boolean> = S extends { readonly [SHAPE]: any }
+  ? S extends { readonly [DEFAULTED]: true }
+    ? I
+    : S extends { readonly [OPTIONAL]: true }
+    ? true
+    : false
+  : S extends Modifier
+  ? S extends { hasDefault: true }
+    ? I
+    : S extends { optional: true }
+    ? true
+    : false
+  : false;
+
+type MaybeNull<S> = S extends { readonly [NULLABLE]: true }
+  ? null
+  : S extends Modifier & { nullable: true }
+  ? null
+  : never;
+
+type MissingKeys<S, I extends boolean> = {
+  [K in keyof S]: MayBeMissing<S[K], I> extends true ? K : never;
+}[keyof S];
+
+type InferObject<S, I extends boolean> = Flatten<
+  {
+    [K in Exclude<keyof S, MissingKeys<S, I>>]: InferType<S[K], I>;
+  } & {
+    [K in Extract<keyof S, MissingKeys<S, I>>]?: InferType<S[K], I>;
+  }
+>;
+
+type InferTuple<T extends unknown[], I extends boolean> = {
+  [K in keyof T]: InferType<T[K], I>;
+};
+
+type WithRest<T, R> = T extends unknown[] ? [...T, ...R[]] : never;
+
+type InferArray<S extends ArrayStructure, I extends boolean> = S extends {
+  tuple: true;
+  items: infer T;
+}
+  ? T extends unknown[]
+    ? S extends { rest: infer R }
+      ? [R] extends [undefined]
+        ? InferTuple<T, I>
+        : WithRest<InferTuple<T, I>, InferType<R, I>>
+      : InferTuple<T, I>
+    : unknown[]
+  : S extends { items: [infer E] }
+  ? InferType<E, I>[]
+  : unknown[];
+
+/**
+ * Transformed structures accept anything their transforms can convert, so their input type is unknown.
+ */
+type InferWrapped<S, Inner, I extends boolean> =
+  | (I extends true
+      ? S extends { readonly [TRANSFORMED]: true }
+        ? unknown
+        : InferType<Inner, I>
+      : InferType<Inner, I>)
+  | MaybeNull<S>
+  | (MayBeMissing<S, I> extends true ? undefined : never);
+
+/**
+ * Widely typed structures (a variable of type `Structure`) infer to `unknown`,
+ * which also keeps the compiler from expanding the recursive `Structure` type.
+ */
+type InferType<S, I extends boolean> = Structure extends S
+  ? unknown
+  : InferNarrow<S, I>;
+
+type InferNarrow<S, I extends boolean> = S extends LazyStructure<infer T>
+  ? T
+  : S extends {
+      readonly [SHAPE]: infer Inner;
+    }
+  ? InferWrapped<S, Inner, I>
+  : S extends Modifier
+  ? InferWrapped<S, S["structure"], I>
+  : S extends RefinedStructure
+  ? InferType<S["structure"], I>
+  : S extends TransformedStructure
+  ? I extends true
+    ? unknown
+    : InferType<S["structure"], I>
+  : S extends LiteralStructure
+  ? S["values"][number]
+  : S extends UnionStructure
+  ? InferType<S["options"][number], I>
+  : S extends RecordStructure
+  ? { [key: string]: InferType<S["values"], I> }
+  : S extends ArrayStructure
+  ? InferArray<S, I>
+  : S extends StructureTypeName
+  ? TypeNames[S]
+  : S extends string
+  ? unknown
+  : S extends readonly []
+  ? unknown[]
+  : S extends readonly (infer E)[]
+  ? InferType<E, I>[]
+  : S extends object
+  ? InferObject<S, I>
+  : unknown;
+
+/**
+ * The type of data a structure or schema produces once validated, with default values filled in.
+ *
+ * @example
+ * const user = { name: "string", tags: optional(["string"]) };
+ * type User = Infer<typeof user>; // { name: string; tags?: string[] }
+ */
+type Infer<S> = InferType<S, false>;
+
+/**
+ * The type of data a structure or schema accepts: like `Infer`, but default-valued keys may be missing.
+ */
+type InferInput<S> = InferType<S, true>;
+
+export type {
+  Infer,
+  InferInput,
+  StructureTypeName,
+  Optional,
+  Nullable,
+  Defaulted,
+  Modified,
+  Refined,
+  Transformed,
+  ArrayOf,
+  TupleOf,
+  LiteralOf,
+  UnionOf,
+  RecordOf,
+};
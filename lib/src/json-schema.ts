@@ -0,0 +1,784 @@
+import {
+  STRUCTURE,
+  validateByStructure,
+  optional,
+  nullable,
+  strict,
+  arrayOf,
+  tuple,
+  refine,
+  transform,
+  literal,
+  oneOf,
+  union,
+  record,
+  lazy,
+  isModifier,
+  isArrayStructure,
+  isStructureLike,
+  isLazy,
+  isRefined,
+  isTransformed,
+  isLiteral,
+  isUnion,
+  isRecord,
+  acceptsMissing,
+  describeStructure,
+} from "./structure";
+import { ValidationError } from "./errors";
+import { validateEmail } from "./email";
+import { validateURL } from "./url";
+import type {
+  Structure,
+  LazyStructure,
+  Refinement,
+  Primitive,
+} from "./structure";
+
+/**
+ * A JSON Schema (draft 2020-12), or a boolean schema: `true` accepts anything, `false` nothing.
+ * Only the keywords listed are understood by `fromJSONSchema`; see its docs for the rest.
+ */
+type JSONSchema =
+  | boolean
+  | {
+      type?: JSONSchemaType | JSONSchemaType[];
+      properties?: { [key: string]: JSONSchema };
+      required?: string[];
+      additionalProperties?: JSONSchema;
+      propertyNames?: JSONSchema;
+      items?: JSONSchema;
+      prefixItems?: JSONSchema[];
+      minItems?: number;
+      maxItems?: number;
+      uniqueItems?: boolean;
+      enum?: any[];
+      const?: any;
+      anyOf?: JSONSchema[];
+      $ref?: string;
+      $defs?: { [name: string]: JSONSchema };
+      minLength?: number;
+      maxLength?: number;
+      pattern?: string;
+      format?: string;
+      minimum?: number;
+      maximum?: number;
+      default?: any;
+      [keyword: string]: any;
+    };
+
+type JSONSchemaType =
+  | "null"
+  | "boolean"
+  | "object"
+  | "array"
+  | "number"
+  | "integer"
+  | "string";
+
+/**
+ * Options for `fromJSONSchema`.
+ *
+ * - `formats` - Checks for `format` values, added to or replacing the built-in `email` and `uri`.
+ *   Other formats are annotations only, as the specification allows.
+ */
+interface FromJSONSchemaOptions {
+  formats?: { [format: string]: Refinement["check"] };
+}
+
+/**
+ * Keywords that constrain values but have no equivalent here. Rather than silently accepting
+ * values they would reject, `fromJSONSchema` throws when it meets one.
+ */
+const unsupportedKeywords = [
+  "$dynamicRef",
+  "allOf",
+  "oneOf",
+  "not",
+  "if",
+  "then",
+  "else",
+  "dependentRequired",
+  "dependentSchemas",
+  "patternProperties",
+  "unevaluatedProperties",
+  "unevaluatedItems",
+  "contains",
+  "minContains",
+  "maxContains",
+  "minProperties",
+  "maxProperties",
+  "multipleOf",
+  "exclusiveMinimum",
+  "exclusiveMaximum",
+];
+
+/**
+ * The supported keywords that constrain values, as opposed to annotations like `title`.
+ */
+const constraintKeywords = [
+  "type",
+  "properties",
+  "required",
+  "additionalProperties",
+  "propertyNames",
+  "items",
+  "prefixItems",
+  "minItems",
+  "maxItems",
+  "uniqueItems",
+  "enum",
+  "const",
+  "minLength",
+  "maxLength",
+  "pattern",
+  "format",
+  "minimum",
+  "maximum",
+];
+
+/**
+ * State of one `fromJSONSchema` call.
+ *
+ * - `formats` - The format checks.
+ * - `root` - The schema `$ref` pointers are resolved against.
+ * - `refs` - The structure of each reference met so far, so recursive references are converted once.
+ */
+interface ImportContext {
+  formats: { [format: string]: Refinement["check"] };
+  root: JSONSchema;
+  refs: Map<string, Structure>;
+}
+
+const jsonTypes: JSONSchemaType[] = [
+  "null",
+  "boolean",
+  "object",
+  "array",
+  "number",
+  "string",
+];
+
+/**
+ * Matches any JSON value: the structure of the `true` and `{}` schemas.
+ */
+const anyJSON = union(["string", "number", "boolean", "object"]);
+const anyValue = nullable(anyJSON);
+
+/**
+ * Rejects arrays before an object shape is walked: arrays are objects to `typeof`, but not in JSON Schema,
+ * and a check after the walk would only see the object copy the shape makes of them.
+ *
+ * @param value - The input.
+ * @returns The input, unchanged.
+ * @throws ValidationError if the input is an array.
+ */
+function rejectArray(value: any): any {
+  if (Array.isArray(value)) {
+    throw new ValidationError("invalid_type", {
+      expected: "object",
+      received: "array",
+    });
+  }
+  return value;
+}
+
+/**
+ * Checks a `uri` format: an absolute `http` or `https` URL.
+ *
+ * @param value - The string to check.
+ * @throws ValidationError if the URL is invalid.
+ */
+function validateURI(value: string): void {
+  validateURL(value, { requireProtocol: true });
+}
+
+const defaultFormats: { [format: string]: Refinement["check"] } = {
+  email: validateEmail,
+  uri: validateURI,
+};
+
+/**
+ * The refinements `fromJSONSchema` builds, matching those of the schema builder so both export the same way.
+ */
+const constraints = {
+  minLength: (min: number): Refinement => ({
+    check: (value: string) => [...value].length >= min,
+    code: "too_small",
+    expected: `at least ${min} characters`,
+    params: { type: "string", min },
+  }),
+  maxLength: (max: number): Refinement => ({
+    check: (value: string) => [...value].length <= max,
+    code: "too_big",
+    expected: `at most ${max} characters`,
+    params: { type: "string", max },
+  }),
+  pattern: (regex: RegExp): Refinement => ({
+    check: (value: string) => value.search(regex) !== -1,
+    code: "invalid_string",
+    expected: `string matching ${regex}`,
+    params: { pattern: String(regex) },
+  }),
+  minimum: (min: number): Refinement => ({
+    check: (value: number) => value >= min,
+    code: "too_small",
+    expected: `at least ${min}`,
+    params: { type: "number", min },
+  }),
+  maximum: (max: number): Refinement => ({
+    check: (value: number) => value <= max,
+    code: "too_big",
+    expected: `at most ${max}`,
+    params: { type: "number", max },
+  }),
+  integer: (): Refinement => ({
+    check: (value: number) => Number.isInteger(value),
+    code: "not_integer",
+    expected: "integer",
+  }),
+};
+
+/**
+ * Adds refinements to a structure, if there are any.
+ *
+ * @param structure - The structure to refine.
+ * @param refinements - The refinements.
+ * @returns The refined structure.
+ */
+function refineAll(structure: Structure, refinements: Refinement[]): Structure {
+  return refinements.reduce(
+    (refined, { check, ...options }) => refine(refined, check, options),
+    structure
+  );
+}
+
+/**
+ * Builds the structure for one type of a JSON Schema, applying the keywords of that type.
+ *
+ * @param type - The JSON type.
+ * @param schema - The schema object.
+ * @param pointer - The JSON pointer of the schema, for errors.
+ * @param ctx - The import context.
+ * @returns The structure.
+ */
+function fromType(
+  type: JSONSchemaType,
+  schema: Exclude<JSONSchema, boolean>,
+  pointer: string,
+  ctx: ImportContext
+): Structure {
+  const convert = (child: JSONSchema, path: string) =>
+    convertSchema(child, `${pointer}/${path}`, ctx);
+
+  if (type === "string") {
+    const refinements: Refinement[] = [];
+    if (schema.minLength !== undefined)
+      refinements.push(constraints.minLength(schema.minLength));
+    if (schema.maxLength !== undefined)
+      refinements.push(constraints.maxLength(schema.maxLength));
+    if (schema.pattern !== undefined) {
+      let regex: RegExp;
+      try {
+        regex = new RegExp(schema.pattern, "u");
+      } catch (error) {
+        // Not a regular expression, or one that isn't valid in Unicode mode, like `\-`
+        throw new ValidationError(
+          "json_schema.invalid",
+          {},
+          { path: `${pointer}/pattern` }
+        );
+      }
+      refinements.push(constraints.pattern(regex));
+    }
+    const check = schema.format !== undefined && ctx.formats[schema.format];
+    if (check) refinements.push({ check });
+    return refineAll("string", refinements);
+  }
+
+  if (type === "number" || type === "integer") {
+    const refinements: Refinement[] = [];
+    if (type === "integer") refinements.push(constraints.integer());
+    if (schema.minimum !== undefined)
+      refinements.push(constraints.minimum(schema.minimum));
+    if (schema.maximum !== undefined)
+      refinements.push(constraints.maximum(schema.maximum));
+    return refineAll("number", refinements);
+  }
+
+  if (type === "boolean") return "boolean";
+
+  if (type === "array") {
+    const { prefixItems, items, minItems, maxItems, uniqueItems } = schema;
+    const options = {
+      ...(minItems !== undefined && { minLength: minItems }),
+      ...(maxItems !== undefined && { maxLength: maxItems }),
+      ...(uniqueItems && { unique: true }),
+    };
+    if (prefixItems) {
+      return tuple(
+        prefixItems.map((item, index) => convert(item, `prefixItems/${index}`)),
+        {
+          ...options,
+          ...(items !== false && {
+            rest: items === undefined ? anyValue : convert(items, "items"),
+          }),
+        }
+      );
+    }
+    return arrayOf(
+      items === undefined ? anyValue : convert(items, "items"),
+      options
+    );
+  }
+
+  // Objects
+  const { properties, required = [], additionalProperties } = schema;
+  if (!properties && required.length === 0) {
+    if (additionalProperties === false)
+      return transform(strict({}), rejectArray);
+    const values =
+      additionalProperties === undefined
+        ? anyValue
+        : convert(additionalProperties, "additionalProperties");
+    const keys =
+      schema.propertyNames === undefined
+        ? undefined
+        : convert(schema.propertyNames, "propertyNames");
+    return record(values, keys);
+  }
+  if (
+    additionalProperties !== undefined &&
+    typeof additionalProperties !== "boolean"
+  ) {
+    throw new ValidationError(
+      "json_schema.unsupported_keyword",
+      { keyword: "additionalProperties" },
+      { path: pointer }
+    );
+  }
+  const shape: { [key: string]: Structure } = {};
+  for (const key of Object.keys(properties || {})) {
+    const structure = convert(properties![key], `properties/${key}`);
+    shape[key] = required.includes(key) ? structure : optional(structure);
+  }
+  // Required keys without a schema must be present with any value
+  for (const key of required) {
+    if (!(key in shape)) shape[key] = anyValue;
+  }
+  return transform(
+    additionalProperties === false ? strict(shape) : shape,
+    rejectArray
+  );
+}
+
+/**
+ * Converts a JSON Schema to a structure.
+ *
+ * @param schema - The schema.
+ * @param pointer - The JSON pointer of the schema, for errors.
+ * @param ctx - The import context.
+ * @returns The structure.
+ */
+function convertSchema(
+  schema: JSONSchema,
+  pointer: string,
+  ctx: ImportContext
+): Structure {
+  if (schema === true) return anyValue;
+  if (schema === false) return union([]);
+  if (typeof schema !== "object" || schema === null || Array.isArray(schema)) {
+    throw new ValidationError("json_schema.invalid", {}, { path: pointer });
+  }
+  const keyword = unsupportedKeywords.find((name) => name in schema);
+  if (keyword) {
+    throw new ValidationError(
+      "json_schema.unsupported_keyword",
+      { keyword },
+      { path: pointer }
+    );
+  }
+  if (schema.$ref !== undefined) {
+    // Keywords next to `$ref` would have to match too, which a reference can't express
+    if (
+      "anyOf" in schema ||
+      Object.keys(schema).some((name) => constraintKeywords.includes(name))
+    ) {
+      throw new ValidationError(
+        "json_schema.unsupported_keyword",
+        { keyword: "$ref" },
+        { path: pointer }
+      );
+    }
+    return resolveRef(schema.$ref, pointer, ctx);
+  }
+  const anyOf =
+    schema.anyOf &&
+    schema.anyOf.map((option, index) =>
+      convertSchema(option, `${pointer}/anyOf/${index}`, ctx)
+    );
+  if (!Object.keys(schema).some((name) => constraintKeywords.includes(name))) {
+    return anyOf ? union(anyOf) : anyValue;
+  }
+
+  const types: JSONSchemaType[] =
+    schema.type === undefined
+      ? jsonTypes
+      : Array.isArray(schema.type)
+      ? schema.type
+      : [schema.type];
+  const isOfType = (value: any, type: JSONSchemaType) =>
+    type === "null"
+      ? value === null
+      : type === "integer"
+      ? Number.isInteger(value)
+      : type === "array"
+      ? Array.isArray(value)
+      : type === "object"
+      ? typeof value === "object" && value !== null && !Array.isArray(value)
+      : typeof value === type;
+
+  let structure: Structure;
+  if (schema.const !== undefined || schema.enum !== undefined) {
+    const values: any[] =
+      schema.const !== undefined ? [schema.const] : schema.enum!;
+    if (values.some((value) => typeof value === "object" && value !== null)) {
+      throw new ValidationError(
+        "json_schema.unsupported_keyword",
+        { keyword: schema.const !== undefined ? "const" : "enum" },
+        { path: pointer }
+      );
+    }
+    // Values must also satisfy the other keywords of their type, e.g. `maxLength`
+    const matches = (value: any) =>
+      types.some(
+        (type) =>
+          isOfType(value, type) &&
+          (type === "null" ||
+            validateByStructure(fromType(type, schema, pointer, ctx), value) ===
+              undefined)
+      );
+    structure = oneOf(values.filter(matches) as Primitive[]);
+  } else {
+    const branches = types
+      .filter((type) => type !== "null")
+      .map((type) => fromType(type, schema, pointer, ctx));
+    structure = branches.length === 1 ? branches[0] : union(branches);
+    if (types.includes("null")) {
+      structure = branches.length ? nullable(structure) : literal(null);
+    }
+  }
+
+  if (anyOf) {
+    // Both the other keywords and one of the options must match
+    structure = refine(
+      structure,
+      (value) =>
+        anyOf.some(
+          (option) => validateByStructure(option, value) === undefined
+        ),
+      { code: "invalid_union", expected: "value matching anyOf" }
+    );
+  }
+  return structure;
+}
+
+/**
+ * Converts the schema a `$ref` points to, within the same document, e.g. `#/$defs/Node` or `#`.
+ * References become lazy structures, so schemas can refer to themselves.
+ *
+ * @param ref - The reference.
+ * @param pointer - The JSON pointer of the schema with the reference, for errors.
+ * @param ctx - The import context.
+ * @returns The structure.
+ */
+function resolveRef(
+  ref: string,
+  pointer: string,
+  ctx: ImportContext
+): Structure {
+  const known = ctx.refs.get(ref);
+  if (known) return known;
+  const unresolved = () =>
+    new ValidationError(
+      "json_schema.unresolved_ref",
+      { ref },
+      { path: pointer }
+    );
+  if (!/^#(\/|$)/.test(ref)) throw unresolved();
+  let tokens: string[];
+  try {
+    tokens = (ref === "#" ? [] : ref.slice(2).split("/")).map((token) =>
+      decodeURIComponent(token).replace(/~1/g, "/").replace(/~0/g, "~")
+    );
+  } catch (error) {
+    throw unresolved();
+  }
+  let target: any = ctx.root;
+  for (const token of tokens) {
+    if (typeof target !== "object" || target === null || !(token in target))
+      throw unresolved();
+    target = target[token];
+  }
+  let structure: Structure | undefined;
+  const reference = lazy(() => structure!, { name: tokens[tokens.length - 1] });
+  // Registered before converting the target, which may refer back to it
+  ctx.refs.set(ref, reference);
+  structure = convertSchema(target, ref, ctx);
+  return reference;
+}
+
+/**
+ * Compiles a JSON Schema (draft 2020-12 subset) into a structure, validated by `validateByStructure`
+ * with the same issues and messages as hand-written structures.
+ *
+ * Supported: `type` (including lists and `"null"`), `properties`, `required`, `additionalProperties`,
+ * `propertyNames`, `items`, `prefixItems`, `minItems`, `maxItems`, `uniqueItems`, `enum` and `const`
+ * (with primitive values), `anyOf`, `minLength`, `maxLength` (in code points), `pattern`, `minimum`,
+ * `maximum`, `format` (`email` and `uri`, or your own) and `$ref` within the schema, such as
+ * `#/$defs/Node`, which may be recursive. Annotations like `title`, `description` and `default` are ignored.
+ *
+ * @example
+ * const user = fromJSONSchema(openapi.components.schemas.User);
+ * validateByStructure(user, body, { allErrors: true });
+ *
+ * @param schema - The JSON Schema.
+ * @param options - Format checks.
+ * @returns The structure.
+ * @throws ValidationError if the schema uses a keyword that can't be enforced, like `allOf`,
+ * or a `$ref` to another document.
+ */
+function fromJSONSchema(
+  schema: JSONSchema,
+  options: FromJSONSchemaOptions = {}
+): Structure {
+  return convertSchema(schema, "#", {
+    formats: { ...defaultFormats, ...options.formats },
+    root: schema,
+    refs: new Map(),
+  });
+}
+
+type JSONSchemaObject = Exclude<JSONSchema, boolean>;
+
+/**
+ * Adds `null` to the values a JSON Schema accepts.
+ * Keywords like `minLength` only apply to their own type, so adding `"null"` to `type` is enough.
+ *
+ * @param schema - The schema.
+ * @returns The nullable schema.
+ */
+function withNull(schema: JSONSchemaObject): JSONSchemaObject {
+  if (Object.keys(schema).length === 0) return schema;
+  if (typeof schema.type === "string") {
+    return { ...schema, type: [schema.type, "null"] };
+  }
+  if (schema.enum) return { ...schema, enum: [...schema.enum, null] };
+  if ("const" in schema) {
+    const { const: value, ...rest } = schema;
+    return { ...rest, enum: [value, null] };
+  }
+  return { anyOf: [schema, { type: "null" }] };
+}
+
+/**
+ * Adds the JSON Schema keyword a refinement stands for, if there is one:
+ * length, range, integer and pattern constraints, and the email and URL validators.
+ *
+ * @param schema - The schema to add the keyword to.
+ * @param refinement - The refinement.
+ */
+function exportRefinement(
+  schema: JSONSchemaObject,
+  refinement: Refinement
+): void {
+  const { check, code, params = {} } = refinement;
+  if (check === validateEmail) schema.format = "email";
+  else if (check === validateURI || check === validateURL)
+    schema.format = "uri";
+  else if (code === "not_integer" && schema.type === "number")
+    schema.type = "integer";
+  else if (code === "too_small" && params.type === "string")
+    schema.minLength = params.min;
+  else if (code === "too_big" && params.type === "string")
+    schema.maxLength = params.max;
+  else if (code === "too_small" && params.type === "number")
+    schema.minimum = params.min;
+  else if (code === "too_big" && params.type === "number")
+    schema.maximum = params.max;
+  else if (code === "invalid_string" && typeof params.pattern === "string") {
+    // Stored as `String(regex)`; flags other than `u` can't be expressed
+    const match = /^\/(.*)\/([a-z]*)$/.exec(params.pattern);
+    if (match && /^u?$/.test(match[2])) schema.pattern = match[1];
+  }
+}
+
+/**
+ * State of one `toJSONSchema` call: the definition name of each lazy structure, and the definitions.
+ */
+interface ExportContext {
+  names: Map<LazyStructure, string>;
+  defs: { [name: string]: JSONSchemaObject };
+}
+
+/**
+ * Converts a structure to a JSON Schema.
+ *
+ * @param structure - The structure.
+ * @param path - The path of the structure, for errors.
+ * @param ctx - The export context.
+ * @returns The schema.
+ */
+function exportStructure(
+  structure: Structure,
+  path: string,
+  ctx: ExportContext
+): JSONSchemaObject {
+  if (structure === anyJSON) return {};
+  if (isLazy(structure)) {
+    // Lazy structures become definitions, so recursive ones refer to themselves
+    let name = ctx.names.get(structure);
+    if (name === undefined) {
+      const base = structure.name || "Lazy";
+      name = base;
+      for (let i = 2; name in ctx.defs; i++) name = `${base}${i}`;
+      // Set before exporting the definition, which may refer back to it
+      ctx.names.set(structure, name);
+      ctx.defs[name] = {};
+      ctx.defs[name] = exportStructure(structure[STRUCTURE], path, ctx);
+    }
+    const token = name.replace(/~/g, "~0").replace(/\//g, "~1");
+    return { $ref: `#/$defs/${encodeURIComponent(token)}` };
+  }
+  if (isStructureLike(structure))
+    return exportStructure(structure[STRUCTURE], path, ctx);
+  if (isTransformed(structure))
+    return exportStructure(structure.structure, path, ctx);
+
+  if (isModifier(structure)) {
+    let schema = exportStructure(structure.structure, path, ctx);
+    if (structure.unknownKeys === "reject" && schema.type === "object") {
+      schema.additionalProperties = false;
+    }
+    if (structure.nullable) schema = withNull(schema);
+    if (structure.hasDefault && typeof structure.defaultValue !== "function") {
+      schema.default = structure.defaultValue;
+    }
+    return schema;
+  }
+
+  if (isRefined(structure)) {
+    const schema = exportStructure(structure.structure, path, ctx);
+    for (const refinement of structure.refinements) {
+      exportRefinement(schema, refinement);
+    }
+    return schema;
+  }
+
+  if (isLiteral(structure)) {
+    const values = structure.values.filter((value) => value !== undefined);
+    return values.length === 1 ? { const: values[0] } : { enum: values };
+  }
+  if (isUnion(structure)) {
+    return {
+      anyOf: structure.options.map((option) =>
+        exportStructure(option, path, ctx)
+      ),
+    };
+  }
+  if (isRecord(structure)) {
+    return {
+      type: "object",
+      additionalProperties: exportStructure(structure.values, path, ctx),
+      ...(structure.keys !== undefined && {
+        propertyNames: exportStructure(structure.keys, path, ctx),
+      }),
+    };
+  }
+
+  if (typeof structure === "string") {
+    if (["string", "number", "boolean", "object"].includes(structure)) {
+      return { type: structure as JSONSchemaType };
+    }
+  } else if (isArrayStructure(structure)) {
+    const {
+      items,
+      tuple: isTuple,
+      rest,
+      minLength,
+      maxLength,
+      unique,
+    } = structure;
+    const schema: JSONSchemaObject = { type: "array" };
+    if (isTuple) {
+      schema.prefixItems = items.map((item, index) =>
+        exportStructure(item, `${path}[${index}]`, ctx)
+      );
+      schema.items =
+        rest === undefined ? false : exportStructure(rest, `${path}[]`, ctx);
+      // Tuple positions are required, unlike `prefixItems`
+      schema.minItems = Math.max(items.length, minLength || 0);
+    } else {
+      schema.items = exportStructure(items[0], `${path}[]`, ctx);
+      if (minLength !== undefined) schema.minItems = minLength;
+    }
+    if (maxLength !== undefined) schema.maxItems = maxLength;
+    if (unique === true) schema.uniqueItems = true;
+    return schema;
+  } else if (Array.isArray(structure)) {
+    if (structure.length === 0) return { type: "array" };
+    if (structure.length === 1) {
+      return {
+        type: "array",
+        items: exportStructure(structure[0], `${path}[]`, ctx),
+      };
+    }
+  } else if (typeof structure === "object" && structure !== null) {
+    const shape = structure as { [key: string]: Structure };
+    const properties: { [key: string]: JSONSchema } = {};
+    const required: string[] = [];
+    for (const key of Object.keys(shape)) {
+      properties[key] = exportStructure(shape[key], `${path}.${key}`, ctx);
+      if (!acceptsMissing(shape[key])) required.push(key);
+    }
+    return {
+      type: "object",
+      properties,
+      ...(required.length > 0 && { required }),
+    };
+  }
+
+  throw new ValidationError(
+    "json_schema.unsupported_structure",
+    { structure: describeStructure(structure) },
+    { path }
+  );
+}
+
+/**
+ * Exports a structure or schema as a JSON Schema (draft 2020-12), e.g. for OpenAPI documents.
+ * Length, range, integer and pattern constraints, `validateEmail` and `validateURL` checks, defaults
+ * and strict objects are kept; other custom checks and transforms can't be expressed and are left out,
+ * so the JSON Schema may accept more than the structure. Lazy structures are exported as `$defs`
+ * named after them, referred to with `$ref`.
+ *
+ * @example
+ * const user = schema.object({ name: schema.string().min(3), age: schema.number().int().optional() });
+ * toJSONSchema(user);
+ * // { type: "object", properties: { name: { type: "string", minLength: 3 },
+ * //   age: { type: "integer" } }, required: ["name"] }
+ *
+ * @param structure - The structure or schema.
+ * @returns The JSON Schema.
+ * @throws ValidationError if the structure uses a type JSON has no equivalent for, like `"bigint"`.
+ */
+function toJSONSchema(structure: Structure): JSONSchemaObject {
+  const ctx: ExportContext = { names: new Map(), defs: {} };
+  const schema = exportStructure(structure, "", ctx);
+  return Object.keys(ctx.defs).length > 0
+    ? { ...schema, $defs: ctx.defs }
+    : schema;
+}
+
+export { fromJSONSchema, toJSONSchema };
+export type { JSONSchema, JSONSchemaType, FromJSONSchemaOptions };
@@ -0,0 +1,297 @@
+/**
+ * A message template: a string with `{param}` placeholders, or a function of the error params.
+ */
+type MessageTemplate = string | ((params: { [key: string]: any }) => string);
+
+/**
+ * Messages of one locale, keyed by error code.
+ */
+type MessageCatalog = { [code: string]: MessageTemplate };
+
+const quoteList = (items: string[]): string =>
+  items.map((item) => `"${item}"`).join(", ");
+
+const en: MessageCatalog = {
+  // Structure issues
+  invalid_type: 'Expected type {expected} at path "{path}", but got {received}',
+  missing_key: 'Missing key "{key}" at path "{parent}"',
+  unrecognized_key: 'Unrecognized key "{key}" at path "{parent}"',
+  too_small: (params) =>
+    params.type === "string"
+      ? `String must be at least ${params.min} characters long.`
+      : params.type === "number"
+      ? `Number must be at least ${params.min}.`
+      : `Expected at least ${params.min} items at path "${params.path}", but got ${params.count}`,
+  too_big: (params) =>
+    params.type === "string"
+      ? `String must not exceed ${params.max} characters.`
+      : params.type === "number"
+      ? `Number must not exceed ${params.max}.`
+      : `Expected at most ${params.max} items at path "${params.path}", but got ${params.count}`,
+  not_unique: 'Duplicate item at path "{path}"',
+  invalid_string: "String must match the pattern {pattern}.",
+  not_integer: "Number must be an integer.",
+  invalid_literal: 'Expected {expected} at path "{path}", but got {value}',
+  invalid_union: 'Expected {expected} at path "{path}", but got {received}',
+  custom: "Value failed a custom check.",
+  unknown_structure: (params) =>
+    params.reason === "ambiguous_array"
+      ? `Ambiguous array structure at path "${params.path}", use tuple() for positional items`
+      : `Unknown structure type at path "${params.path}"`,
+  cyclic_value:
+    'Value at path "{path}" refers back to itself at path "{ancestor}"',
+  async_check:
+    'Check at path "{path}" is asynchronous, use validateByStructureAsync',
+  timeout: 'Check at path "{path}" did not finish within {timeout} ms',
+
+  // Field validators
+  "type.mismatch": "Type of {expected} does not match {received}",
+  "email.too_short": "Email must be at least {min} characters long.",
+  "email.too_long": "Email must not exceed {max} characters.",
+  "email.invalid": "Email must be a valid email address.",
+  "email.local_too_long":
+    "The part of the email before @ must not exceed {max} characters.",
+  "email.invalid_local": "The part of the email before @ is not valid.",
+  "email.domain_too_long": "The email domain must not exceed {max} characters.",
+  "email.invalid_domain": "The email domain is not valid.",
+  "email.domain_not_allowed": 'Email addresses at "{domain}" are not allowed.',
+  "email.domain_denied": 'Email addresses at "{domain}" are not allowed.',
+  "email.disposable": "Disposable email addresses are not allowed.",
+  "username.invalid_characters": (params) =>
+    params.separators
+      ? `Username must contain only letters, numbers and ${quoteList(
+          params.separators
+        )}.`
+      : "Username must contain only letters and numbers.",
+  "username.leading_separator": "Username must not start with a separator.",
+  "username.trailing_separator": "Username must not end with a separator.",
+  "username.consecutive_separators":
+    "Username must not contain consecutive separators.",
+  "username.reserved": "This username is reserved.",
+  "username.mixed_script":
+    "Username must not mix letters of different scripts.",
+  "username.confusable": "Username looks too similar to a protected name.",
+  "username.too_short": "Username must be at least {min} characters long.",
+  "username.too_long": "Username must not exceed {max} characters.",
+  "password.too_short": "Password must be at least {min} characters long.",
+  "password.too_long": "Password must not exceed {max} characters.",
+  "password.invalid_characters":
+    "Password contains characters that are not allowed.",
+  "password.missing_lowercase": (params) =>
+    params.min === 1
+      ? "Password must contain at least one lowercase letter."
+      : `Password must contain at least ${params.min} lowercase letters.`,
+  "password.missing_uppercase": (params) =>
+    params.min === 1
+      ? "Password must contain at least one uppercase letter."
+      : `Password must contain at least ${params.min} uppercase letters.`,
+  "password.missing_digit": (params) =>
+    params.min === 1
+      ? "Password must contain at least one number."
+      : `Password must contain at least ${params.min} numbers.`,
+  "password.missing_symbol": (params) =>
+    params.min === 1
+      ? "Password must contain at least one special character."
+      : `Password must contain at least ${params.min} special characters.`,
+  "password.repeated_characters":
+    "Password must not repeat a character more than {max} times in a row.",
+  "password.contains_banned":
+    "Password must not contain your username, email or other banned words.",
+  "url.invalid": "Invalid URL.",
+  "url.too_long": "URL exceeds the maximum length of {max} characters.",
+  "url.domain_not_allowed": (params) =>
+    params.allowedDomains
+      ? `URL must belong to one of the allowed domains: ${params.allowedDomains.join(
+          ", "
+        )}.`
+      : `URL host "${params.host}" is not allowed.`,
+  "url.protocol_not_allowed":
+    'URL protocol "{protocol}" is not allowed, use one of: {protocols}.',
+  "url.credentials_not_allowed": "URL must not contain a username or password.",
+  "url.private_host": "URL must not point to a private or local address.",
+  "url.port_not_allowed": "URL port {port} is not allowed.",
+  "sql.invalid_identifier":
+    "Invalid SQL identifier, use letters, digits and underscores.",
+  "sql.identifier_too_long":
+    "SQL identifier exceeds the maximum length of {max} characters.",
+  "sql.identifier_not_allowed":
+    "SQL identifier is not allowed, use one of: {allowed}.",
+  "request.invalid": (params) =>
+    params.count === 1
+      ? "The request has 1 invalid field."
+      : `The request has ${params.count} invalid fields.`,
+  "json_schema.invalid": 'Invalid JSON Schema at "{path}".',
+  "rule.unknown": 'No rule is registered as "{rule}".',
+  "json_schema.unsupported_keyword":
+    'JSON Schema keyword "{keyword}" at "{path}" is not supported.',
+  "json_schema.unresolved_ref":
+    'JSON Schema reference "{ref}" at "{path}" can\'t be resolved.',
+  "json_schema.unsupported_structure":
+    'Structure "{structure}" at path "{path}" has no JSON Schema equivalent.',
+  "password.common": "Password is too common.",
+  "password.too_weak":
+    "Password is too easy to guess, try a longer or less predictable one.",
+  "strength.common": "This is a very common password.",
+  "strength.dictionary": "Common words and names are easy to guess.",
+  "strength.user_input":
+    "Avoid your username, name or email address in the password.",
+  "strength.leet":
+    'Predictable substitutions like "@" instead of "a" don\'t help very much.',
+  "strength.keyboard_walk": 'Rows of keys like "qwerty" are easy to guess.',
+  "strength.sequence": 'Sequences like "abc" or "6543" are easy to guess.',
+  "strength.repeat": 'Repeats like "aaa" or "abcabc" are easy to guess.',
+  "strength.date": "Dates and years are easy to guess.",
+  "strength.add_words": "Add another word or two. Uncommon words are better.",
+  "field.empty":
+    'Field "{key}" cannot be null, undefined, or empty at depth {depth}.',
+  "value.empty_at_depth":
+    "Value cannot be null, undefined, or empty at depth {depth}.",
+  "value.cyclic": "Value at depth {depth} refers back to itself.",
+  "value.falsy": "Value is null, undefined, or falsy",
+  "value.empty_array": "Value is an empty array",
+  "value.empty_instance": "Value is an empty class instance",
+  "value.empty_object": "Value is an empty object",
+  "value.empty": "Value is empty",
+  "value.invalid_type": "Invalid value type",
+};
+
+const ru: MessageCatalog = {
+  // Structure issues
+  invalid_type:
+    'Ожидался тип {expected} по пути "{path}", но получен {received}',
+  missing_key: 'Отсутствует ключ "{key}" по пути "{parent}"',
+  unrecognized_key: 'Неизвестный ключ "{key}" по пути "{parent}"',
+  too_small: (params) =>
+    params.type === "string"
+      ? `Строка должна содержать не менее ${params.min} символов.`
+      : params.type === "number"
+      ? `Число должно быть не меньше ${params.min}.`
+      : `Ожидалось не менее ${params.min} элементов по пути "${params.path}", но получено ${params.count}`,
+  too_big: (params) =>
+    params.type === "string"
+      ? `Строка не должна превышать ${params.max} символов.`
+      : params.type === "number"
+      ? `Число не должно превышать ${params.max}.`
+      : `Ожидалось не более ${params.max} элементов по пути "${params.path}", но получено ${params.count}`,
+  not_unique: 'Повторяющийся элемент по пути "{path}"',
+  invalid_string: "Строка должна соответствовать шаблону {pattern}.",
+  not_integer: "Число должно быть целым.",
+  invalid_literal: 'Ожидалось {expected} по пути "{path}", но получено {value}',
+  invalid_union: 'Ожидалось {expected} по пути "{path}", но получен {received}',
+  custom: "Значение не прошло проверку.",
+  unknown_structure: (params) =>
+    params.reason === "ambiguous_array"
+      ? `Неоднозначная структура массива по пути "${params.path}", используйте tuple() для позиционных элементов`
+      : `Неизвестный тип структуры по пути "${params.path}"`,
+  cyclic_value:
+    'Значение по пути "{path}" ссылается само на себя по пути "{ancestor}"',
+  async_check:
+    'Проверка по пути "{path}" асинхронная, используйте validateByStructureAsync',
+  timeout: 'Проверка по пути "{path}" не завершилась за {timeout} мс',
+
+  // Field validators
+  "type.mismatch": "Тип {expected} не соответствует {received}",
+  "email.too_short": "Email должен содержать не менее {min} символов.",
+  "email.too_long": "Email не должен превышать {max} символов.",
+  "email.invalid": "Email должен быть корректным адресом электронной почты.",
+  "email.local_too_long":
+    "Часть email до @ не должна превышать {max} символов.",
+  "email.invalid_local": "Часть email до @ некорректна.",
+  "email.domain_too_long": "Домен email не должен превышать {max} символов.",
+  "email.invalid_domain": "Домен email некорректен.",
+  "email.domain_not_allowed":
+    'Адреса email на домене "{domain}" не допускаются.',
+  "email.domain_denied": 'Адреса email на домене "{domain}" не допускаются.',
+  "email.disposable": "Одноразовые адреса email не допускаются.",
+  "username.invalid_characters": (params) =>
+    params.separators
+      ? `Имя пользователя может содержать только буквы, цифры и ${quoteList(
+          params.separators
+        )}.`
+      : "Имя пользователя может содержать только буквы и цифры.",
+  "username.leading_separator":
+    "Имя пользователя не должно начинаться с разделителя.",
+  "username.trailing_separator":
+    "Имя пользователя не должно заканчиваться разделителем.",
+  "username.consecutive_separators":
+    "Имя пользователя не должно содержать несколько разделителей подряд.",
+  "username.reserved": "Это имя пользователя зарезервировано.",
+  "username.mixed_script":
+    "Имя пользователя не должно смешивать буквы разных алфавитов.",
+  "username.confusable": "Имя пользователя слишком похоже на защищённое имя.",
+  "username.too_short":
+    "Имя пользователя должно содержать не менее {min} символов.",
+  "username.too_long": "Имя пользователя не должно превышать {max} символов.",
+  "password.too_short": "Пароль должен содержать не менее {min} символов.",
+  "password.too_long": "Пароль не должен превышать {max} символов.",
+  "password.invalid_characters": "Пароль содержит недопустимые символы.",
+  "password.missing_lowercase":
+    "Пароль должен содержать строчные буквы (не менее {min}).",
+  "password.missing_uppercase":
+    "Пароль должен содержать заглавные буквы (не менее {min}).",
+  "password.missing_digit": "Пароль должен содержать цифры (не менее {min}).",
+  "password.missing_symbol":
+    "Пароль должен содержать специальные символы (не менее {min}).",
+  "password.repeated_characters":
+    "Пароль не должен повторять символ более {max} раз подряд.",
+  "password.contains_banned":
+    "Пароль не должен содержать имя пользователя, email или другие запрещённые слова.",
+  "url.invalid": "Некорректный URL.",
+  "url.too_long": "URL превышает максимальную длину в {max} символов.",
+  "url.domain_not_allowed": (params) =>
+    params.allowedDomains
+      ? `URL должен принадлежать одному из разрешённых доменов: ${params.allowedDomains.join(
+          ", "
+        )}.`
+      : `Хост URL "${params.host}" не разрешён.`,
+  "url.protocol_not_allowed":
+    'Протокол URL "{protocol}" не разрешён, используйте один из: {protocols}.',
+  "url.credentials_not_allowed":
+    "URL не должен содержать имя пользователя или пароль.",
+  "url.private_host": "URL не должен указывать на частный или локальный адрес.",
+  "url.port_not_allowed": "Порт URL {port} не разрешён.",
+  "sql.invalid_identifier":
+    "Некорректный идентификатор SQL, используйте буквы, цифры и подчёркивания.",
+  "sql.identifier_too_long":
+    "Идентификатор SQL превышает максимальную длину в {max} символов.",
+  "sql.identifier_not_allowed":
+    "Идентификатор SQL не разрешён, используйте один из: {allowed}.",
+  "request.invalid": "Некорректных полей в запросе: {count}.",
+  "json_schema.invalid": 'Некорректная JSON Schema в "{path}".',
+  "rule.unknown": 'Правило "{rule}" не зарегистрировано.',
+  "json_schema.unsupported_keyword":
+    'Ключевое слово JSON Schema "{keyword}" в "{path}" не поддерживается.',
+  "json_schema.unresolved_ref":
+    'Ссылку JSON Schema "{ref}" в "{path}" не удалось разрешить.',
+  "json_schema.unsupported_structure":
+    'Структуру "{structure}" по пути "{path}" нельзя выразить в JSON Schema.',
+  "password.common": "Пароль слишком распространён.",
+  "password.too_weak":
+    "Пароль слишком легко подобрать, выберите более длинный или менее предсказуемый.",
+  "strength.common": "Это очень распространённый пароль.",
+  "strength.dictionary": "Распространённые слова и имена легко подобрать.",
+  "strength.user_input":
+    "Не используйте в пароле имя пользователя, имя или адрес электронной почты.",
+  "strength.leet":
+    'Предсказуемые замены вроде "@" вместо "a" почти не помогают.',
+  "strength.keyboard_walk": 'Ряды клавиш вроде "qwerty" легко подобрать.',
+  "strength.sequence":
+    'Последовательности вроде "abc" или "6543" легко подобрать.',
+  "strength.repeat": 'Повторы вроде "aaa" или "abcabc" легко подобрать.',
+  "strength.date": "Даты и годы легко подобрать.",
+  "strength.add_words": "Добавьте ещё одно-два слова. Редкие слова лучше.",
+  "field.empty":
+    'Поле "{key}" не может быть null, undefined или пустым на глубине {depth}.',
+  "value.empty_at_depth":
+    "Значение не может быть null, undefined или пустым на глубине {depth}.",
+  "value.cyclic": "Значение на глубине {depth} ссылается само на себя.",
+  "value.falsy": "Значение равно null, undefined или ложно",
+  "value.empty_array": "Значение является пустым массивом",
+  "value.empty_instance": "Значение является пустым экземпляром класса",
+  "value.empty_object": "Значение является пустым объектом",
+  "value.empty": "Значение пустое",
+  "value.invalid_type": "Недопустимый тип значения",
+};
+
+export { en, ru };
+export type { MessageTemplate, MessageCatalog };
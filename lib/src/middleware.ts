@@ -0,0 +1,256 @@
+import { validateByStructure } from "./structure";
+import { formatMessage } from "./errors";
+import type {
+  Structure,
+  StructureIssue,
+  StructureValidationResult,
+  ValidateOptions,
+} from "./structure";
+import type { Infer } from "./infer";
+
+/**
+ * The parts of a request that can be validated.
+ */
+type RequestPart = "params" | "query" | "headers" | "body";
+
+/**
+ * The structure each part of a request must match. Parts without a structure are not validated.
+ * Header names are lowercase, as Node.js reports them, and undeclared headers are always allowed.
+ */
+type RequestStructures = { [K in RequestPart]?: Structure };
+
+/**
+ * The validated request parts, with transforms applied and defaults filled in.
+ */
+type ValidatedRequest<P extends RequestStructures> = {
+  [K in keyof P]: Infer<P[K]>;
+};
+
+/**
+ * The JSON body sent when a request is invalid: every issue, with its path prefixed by the request part,
+ * e.g. `body.email` or `query.page`.
+ */
+interface RequestErrorBody {
+  code: "request.invalid";
+  message: string;
+  issues: {
+    code: string;
+    path: string;
+    params: { [key: string]: any };
+    message: string;
+  }[];
+}
+
+/**
+ * Options for `validateRequest` and the middleware factories.
+ *
+ * - `unknownKeys` / `locale` - As for `validateByStructure`; `unknownKeys` doesn't apply to headers.
+ * - `status` - The status code of the error response (default 400).
+ * - `property` - Where the validated parts are attached to the request (default `"validated"`):
+ *   `req.validated` for Express and Fastify, `ctx.state.validated` for Koa.
+ * - `errorBody` - Builds a custom error response body from the issues.
+ */
+interface RequestValidationOptions
+  extends Omit<ValidateOptions, "allErrors" | "path"> {
+  status?: number;
+  property?: string;
+  errorBody?: (issues: StructureIssue[]) => any;
+}
+
+const requestParts: RequestPart[] = ["params", "query", "headers", "body"];
+
+/**
+ * Validates the parts of a request against their structures, collecting every issue.
+ *
+ * @param structures - The structure of each part to validate.
+ * @param request - The request parts, e.g. `{ body: req.body, query: req.query }`.
+ * @param options - Validation options.
+ * @returns The aggregate result; `value` holds the validated parts.
+ */
+function validateRequest<P extends RequestStructures>(
+  structures: P,
+  request: { [K in RequestPart]?: unknown },
+  options: Omit<ValidateOptions, "allErrors" | "path"> = {}
+): StructureValidationResult<ValidatedRequest<P>> {
+  const issues: StructureIssue[] = [];
+  const value: { [key: string]: any } = {};
+  for (const part of requestParts) {
+    const structure = structures[part];
+    if (structure === undefined) continue;
+    const result = validateByStructure(structure, request[part], {
+      allErrors: true,
+      path: part,
+      locale: options.locale,
+      unknownKeys: part === "headers" ? "allow" : options.unknownKeys,
+    });
+    issues.push(...result.issues);
+    value[part] = result.value;
+  }
+  return {
+    valid: issues.length === 0,
+    issues,
+    value: value as ValidatedRequest<P>,
+  };
+}
+
+/**
+ * Builds the default error response body for a list of issues.
+ *
+ * @param issues - The issues found by `validateRequest`.
+ * @param locale - The locale of the top-level message.
+ * @returns The error body.
+ */
+function requestErrorBody(
+  issues: StructureIssue[],
+  locale?: string
+): RequestErrorBody {
+  return {
+    code: "request.invalid",
+    message: formatMessage("request.invalid", { count: issues.length }, locale),
+    issues: issues.map(({ code, path, params, message }) => ({
+      code,
+      path,
+      params,
+      message,
+    })),
+  };
+}
+
+/**
+ * Validates a request and builds the response to send when it is invalid.
+ *
+ * @param structures - The structure of each part to validate.
+ * @param request - The request parts.
+ * @param options - Validation and response options.
+ * @returns The validated parts, or the status and body of the error response.
+ */
+function checkRequest<P extends RequestStructures>(
+  structures: P,
+  request: { [K in RequestPart]?: unknown },
+  options: RequestValidationOptions
+):
+  | { ok: true; value: ValidatedRequest<P> }
+  | { ok: false; status: number; body: any } {
+  const { status = 400, errorBody } = options;
+  const result = validateRequest(structures, request, options);
+  if (result.valid) return { ok: true, value: result.value };
+  return {
+    ok: false,
+    status,
+    body: errorBody
+      ? errorBody(result.issues)
+      : requestErrorBody(result.issues, options.locale),
+  };
+}
+
+/**
+ * Creates Express (or Connect) middleware that validates the request and responds with a JSON error
+ * listing every issue when it is invalid. The validated parts are attached as `req.validated`.
+ *
+ * @example
+ * app.post("/users/:id", expressValidator({
+ *   params: { id: coerce("number") },
+ *   body: { email: refine("string", validateEmail) },
+ * }), (req, res) => res.json(req.validated.body));
+ *
+ * @param structures - The structure of each part to validate.
+ * @param options - Validation and response options.
+ * @returns The middleware.
+ */
+function expressValidator<P extends RequestStructures>(
+  structures: P,
+  options: RequestValidationOptions = {}
+): (req: any, res: any, next: (error?: unknown) => void) => void {
+  const { property = "validated" } = options;
+  return (req, res, next) => {
+    let outcome;
+    try {
+      outcome = checkRequest(structures, req, options);
+    } catch (error) {
+      // e.g. a throwing `withDefault` factory: left to the app's error handler
+      return next(error);
+    }
+    if (!outcome.ok) {
+      res.status(outcome.status).json(outcome.body);
+      return;
+    }
+    req[property] = outcome.value;
+    next();
+  };
+}
+
+/**
+ * Creates Koa middleware that validates the request and responds with a JSON error
+ * listing every issue when it is invalid. The validated parts are attached as `ctx.state.validated`.
+ * The body is read from `ctx.request.body` (set by a body parser) and params from `ctx.params` (set by a router).
+ *
+ * @param structures - The structure of each part to validate.
+ * @param options - Validation and response options.
+ * @returns The middleware.
+ */
+function koaValidator<P extends RequestStructures>(
+  structures: P,
+  options: RequestValidationOptions = {}
+): (ctx: any, next: () => Promise<unknown>) => Promise<void> {
+  const { property = "validated" } = options;
+  return async (ctx, next) => {
+    const outcome = checkRequest(
+      structures,
+      {
+        params: ctx.params,
+        query: ctx.query,
+        headers: ctx.headers,
+        body: ctx.request.body,
+      },
+      options
+    );
+    if (!outcome.ok) {
+      ctx.status = outcome.status;
+      ctx.body = outcome.body;
+      return;
+    }
+    ctx.state[property] = outcome.value;
+    await next();
+  };
+}
+
+/**
+ * Creates a Fastify `preHandler` hook that validates the request and replies with a JSON error
+ * listing every issue when it is invalid. The validated parts are attached as `request.validated`.
+ *
+ * @example
+ * fastify.get("/search", { preHandler: fastifyValidator({ query }) }, handler);
+ *
+ * @param structures - The structure of each part to validate.
+ * @param options - Validation and response options.
+ * @returns The hook.
+ */
+function fastifyValidator<P extends RequestStructures>(
+  structures: P,
+  options: RequestValidationOptions = {}
+): (request: any, reply: any) => Promise<unknown> {
+  const { property = "validated" } = options;
+  return async (request, reply) => {
+    const outcome = checkRequest(structures, request, options);
+    if (!outcome.ok) {
+      // An async hook that sends a reply must return it, so the handler is skipped
+      return reply.code(outcome.status).send(outcome.body);
+    }
+    request[property] = outcome.value;
+  };
+}
+
+export {
+  validateRequest,
+  requestErrorBody,
+  expressValidator,
+  koaValidator,
+  fastifyValidator,
+};
+export type {
+  RequestPart,
+  RequestStructures,
+  ValidatedRequest,
+  RequestErrorBody,
+  RequestValidationOptions,
+};
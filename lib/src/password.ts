@@ -0,0 +1,298 @@
+import { ValidationError } from "./errors";
+import { toValidationError } from "./safe";
+import { scorePassword, isCommonPassword } from "./strength";
+import type { SafeResult } from "./safe";
+import type { PasswordBlocklist } from "./strength";
+
+/**
+ * Rules a password must meet. Every field is optional and falls back to `defaultPasswordPolicy`.
+ *
+ * - `minLength` / `maxLength` - Length bounds, counted in Unicode code points.
+ * - `lowercase` / `uppercase` / `digits` / `symbols` - Minimum count of each character class (`0` disables the rule).
+ *   Symbols are any characters that are not letters, numbers or whitespace.
+ * - `allowedCharacters` - A pattern every character must match (default: anything but control characters).
+ * - `maxRepeated` - Maximum number of times the same character may repeat in a row.
+ * - `banned` - Substrings the password must not contain, compared case-insensitively, e.g. the username or email.
+ *   For an email, its local part is banned too.
+ * - `passphrase` - Exempts long multi-word passphrases from the character class rules.
+ *   `true` uses `{ minLength: 20, minWords: 4 }`.
+ * - `blocklist` - Passwords to reject, e.g. the bundled `commonPasswords`.
+ * - `minScore` - The minimum `scorePassword` score (0-4); `banned` words count as easy guesses.
+ */
+interface PasswordPolicy {
+  minLength?: number;
+  maxLength?: number;
+  lowercase?: number;
+  uppercase?: number;
+  digits?: number;
+  symbols?: number;
+  allowedCharacters?: RegExp;
+  maxRepeated?: number;
+  banned?: string[];
+  passphrase?: boolean | { minLength?: number; minWords?: number };
+  blocklist?: PasswordBlocklist;
+  minScore?: number;
+}
+
+/**
+ * Outcome of a single password rule, in the order `checkPassword` evaluates them.
+ */
+interface PasswordRuleResult {
+  code: string;
+  params: { [key: string]: any };
+  passed: boolean;
+  message: string;
+}
+
+/**
+ * Result of `checkPassword`: every rule of the policy, and an error for each rule that failed.
+ */
+interface PasswordReport {
+  valid: boolean;
+  rules: PasswordRuleResult[];
+  errors: ValidationError[];
+}
+
+const defaultPasswordPolicy: Readonly<PasswordPolicy> = Object.freeze({
+  minLength: 8,
+  maxLength: 128,
+  lowercase: 1,
+  uppercase: 1,
+  digits: 1,
+  symbols: 1,
+  allowedCharacters: /[^\p{Cc}]/u,
+});
+
+type CharacterClass = "lowercase" | "uppercase" | "digits" | "symbols";
+
+const characterClasses: [CharacterClass, string, RegExp][] = [
+  ["lowercase", "password.missing_lowercase", /\p{Ll}/u],
+  ["uppercase", "password.missing_uppercase", /\p{Lu}/u],
+  ["digits", "password.missing_digit", /\p{Nd}/u],
+  ["symbols", "password.missing_symbol", /[^\p{L}\p{N}\s]/u],
+];
+
+/**
+ * Returns the length of the longest run of one repeated character.
+ *
+ * @param characters - The characters of the password.
+ * @returns The length of the longest run.
+ */
+function longestRun(characters: string[]): number {
+  let longest = 0;
+  let run = 0;
+  characters.forEach((character, index) => {
+    run = character === characters[index - 1] ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  return longest;
+}
+
+/**
+ * Whether the password qualifies as a passphrase under the policy.
+ *
+ * @param password - The password to check.
+ * @param length - The length of the password in code points.
+ * @param passphrase - The passphrase setting of the policy.
+ * @returns True if the character class rules are waived.
+ */
+function isPassphrase(
+  password: string,
+  length: number,
+  passphrase: PasswordPolicy["passphrase"]
+): boolean {
+  if (!passphrase) return false;
+  const { minLength = 20, minWords = 4 } =
+    passphrase === true ? {} : passphrase;
+  const words = password.split(/[\s\-_.]+/).filter(Boolean);
+  return length >= minLength && words.length >= minWords;
+}
+
+/**
+ * Expands the banned substrings of a policy: lowercased, empty entries dropped,
+ * and emails followed by their local part.
+ *
+ * @param banned - The banned substrings.
+ * @returns The substrings to look for.
+ */
+function bannedSubstrings(banned: string[]): string[] {
+  return banned.reduce<string[]>((substrings, entry) => {
+    const value = entry.trim().toLowerCase();
+    if (!value) return substrings;
+    const at = value.lastIndexOf("@");
+    return at > 0
+      ? [...substrings, value, value.slice(0, at)]
+      : [...substrings, value];
+  }, []);
+}
+
+/**
+ * Checks a password against every rule of a policy at once, e.g. to render a live checklist.
+ *
+ * @example
+ * const { valid, rules } = checkPassword(input, { symbols: 0, banned: [username] });
+ * rules.forEach((rule) => render(rule.message, rule.passed));
+ *
+ * @param password - The password to check.
+ * @param policy - The rules to check, merged over `defaultPasswordPolicy`.
+ * @returns Every rule with whether it passed, and an error for each failed rule.
+ */
+function checkPassword(
+  password: string,
+  policy: PasswordPolicy = {}
+): PasswordReport {
+  const options = { ...defaultPasswordPolicy, ...policy };
+  const characters = Array.from(password);
+  const rules: PasswordRuleResult[] = [];
+  const errors: ValidationError[] = [];
+
+  const check = (
+    code: string,
+    params: { [key: string]: any },
+    passed: boolean
+  ) => {
+    const error = new ValidationError(code, params);
+    rules.push({ code, params, passed, message: error.message });
+    if (!passed) errors.push(error);
+  };
+
+  if (options.minLength !== undefined) {
+    const min = options.minLength;
+    check("password.too_short", { min }, characters.length >= min);
+  }
+  if (options.maxLength !== undefined) {
+    const max = options.maxLength;
+    check("password.too_long", { max }, characters.length <= max);
+  }
+  if (options.allowedCharacters) {
+    const allowed = options.allowedCharacters;
+    check(
+      "password.invalid_characters",
+      {},
+      characters.every((character) => {
+        allowed.lastIndex = 0; // Global and sticky patterns keep state between tests
+        return allowed.test(character);
+      })
+    );
+  }
+
+  const passphrase = isPassphrase(
+    password,
+    characters.length,
+    options.passphrase
+  );
+  characterClasses.forEach(([rule, code, pattern]) => {
+    const min = options[rule];
+    if (!min) return;
+    const count = characters.filter((character) =>
+      pattern.test(character)
+    ).length;
+    check(code, { min }, passphrase || count >= min);
+  });
+
+  if (options.maxRepeated !== undefined) {
+    const max = options.maxRepeated;
+    check(
+      "password.repeated_characters",
+      { max },
+      longestRun(characters) <= max
+    );
+  }
+  if (options.banned && options.banned.length > 0) {
+    const lowered = password.toLowerCase();
+    check(
+      "password.contains_banned",
+      {},
+      !bannedSubstrings(options.banned).some((value) => lowered.includes(value))
+    );
+  }
+
+  if (options.blocklist) {
+    check(
+      "password.common",
+      {},
+      !isCommonPassword(password, options.blocklist)
+    );
+  }
+  if (options.minScore !== undefined) {
+    const min = options.minScore;
+    const { score } = scorePassword(password, {
+      blocklist: options.blocklist,
+      userInputs: options.banned,
+    });
+    check("password.too_weak", { min, score }, score >= min);
+  }
+
+  return { valid: errors.length === 0, rules, errors };
+}
+
+/**
+ * Resolves the legacy `(min, max)` arguments of `validatePassword` into a policy.
+ *
+ * @param minLengthOrPolicy - A minimum length or a policy.
+ * @param maxLength - The maximum length, when a minimum length is given.
+ * @returns The policy.
+ */
+function toPolicy(
+  minLengthOrPolicy: number | PasswordPolicy,
+  maxLength: number
+): PasswordPolicy {
+  return typeof minLengthOrPolicy === "number"
+    ? { minLength: minLengthOrPolicy, maxLength }
+    : minLengthOrPolicy;
+}
+
+/**
+ * Validates if the provided password meets strength requirements (length, character types).
+ * Throws an error for the first rule the password does not meet; use `checkPassword` to get all of them.
+ *
+ * @param password - The password to be validated.
+ * @param possiblePasswordMinLength - The minimum length of the password (default 8), or a `PasswordPolicy`.
+ * @param possiblePasswordLength - The maximum length of the password (default 128), when a minimum length is given.
+ * @throws ValidationError if the password does not meet the policy.
+ */
+function validatePassword(
+  password: string,
+  possiblePasswordMinLength: number | PasswordPolicy = 8,
+  possiblePasswordLength: number = 128
+): void {
+  const { errors } = checkPassword(
+    password,
+    toPolicy(possiblePasswordMinLength, possiblePasswordLength)
+  );
+  if (errors.length > 0) {
+    throw errors[0];
+  }
+}
+
+/**
+ * Non-throwing variant of `validatePassword` that reports every rule the password does not meet.
+ *
+ * @param password - The password to be validated.
+ * @param possiblePasswordMinLength - The minimum length of the password (default 8), or a `PasswordPolicy`.
+ * @param possiblePasswordLength - The maximum length of the password (default 128), when a minimum length is given.
+ * @returns The password, or one error per unmet rule.
+ */
+function safeValidatePassword(
+  password: string,
+  possiblePasswordMinLength: number | PasswordPolicy = 8,
+  possiblePasswordLength: number = 128
+): SafeResult<string> {
+  try {
+    const { valid, errors } = checkPassword(
+      password,
+      toPolicy(possiblePasswordMinLength, possiblePasswordLength)
+    );
+    return valid ? { ok: true, value: password } : { ok: false, errors };
+  } catch (error) {
+    return { ok: false, errors: [toValidationError(error)] };
+  }
+}
+
+export {
+  checkPassword,
+  validatePassword,
+  safeValidatePassword,
+  defaultPasswordPolicy,
+};
+export type { PasswordPolicy, PasswordRuleResult, PasswordReport };
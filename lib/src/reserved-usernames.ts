@@ -0,0 +1,311 @@
+/**
+ * Names that should not be registered as usernames: roles, staff and system accounts, and words
+ * that collide with routes like `/login` or mail addresses like `postmaster@`. Lowercase, without separators.
+ * Bundled so the check works offline; add more with `reservedUserNames.add(...)`.
+ */
+const reservedUserNameList: string[] = [
+  "about",
+  "abuse",
+  "access",
+  "account",
+  "accounts",
+  "activate",
+  "admin",
+  "administration",
+  "administrator",
+  "admins",
+  "ads",
+  "advertising",
+  "affiliate",
+  "affiliates",
+  "ajax",
+  "alerts",
+  "all",
+  "analytics",
+  "android",
+  "anonymous",
+  "api",
+  "apis",
+  "app",
+  "apps",
+  "archive",
+  "assets",
+  "auth",
+  "authentication",
+  "avatar",
+  "backup",
+  "balance",
+  "banner",
+  "billing",
+  "blog",
+  "blogs",
+  "board",
+  "bot",
+  "bots",
+  "business",
+  "cache",
+  "calendar",
+  "campaign",
+  "cart",
+  "catalog",
+  "cdn",
+  "change",
+  "changelog",
+  "chat",
+  "checkout",
+  "client",
+  "clients",
+  "cloud",
+  "code",
+  "community",
+  "company",
+  "config",
+  "connect",
+  "contact",
+  "contacts",
+  "copyright",
+  "css",
+  "customer",
+  "customers",
+  "dashboard",
+  "data",
+  "database",
+  "default",
+  "delete",
+  "demo",
+  "design",
+  "dev",
+  "developer",
+  "developers",
+  "devops",
+  "dir",
+  "direct",
+  "directory",
+  "docs",
+  "documentation",
+  "domain",
+  "download",
+  "downloads",
+  "ecommerce",
+  "edit",
+  "editor",
+  "email",
+  "emails",
+  "enterprise",
+  "error",
+  "errors",
+  "everyone",
+  "example",
+  "explore",
+  "faq",
+  "favorites",
+  "feed",
+  "feedback",
+  "file",
+  "files",
+  "finance",
+  "follow",
+  "followers",
+  "following",
+  "forum",
+  "forums",
+  "free",
+  "ftp",
+  "gateway",
+  "git",
+  "github",
+  "graphql",
+  "group",
+  "groups",
+  "guest",
+  "guests",
+  "help",
+  "home",
+  "host",
+  "hosting",
+  "hostmaster",
+  "html",
+  "http",
+  "https",
+  "image",
+  "images",
+  "imap",
+  "inbox",
+  "index",
+  "info",
+  "information",
+  "invite",
+  "invites",
+  "ios",
+  "ipad",
+  "iphone",
+  "issues",
+  "jobs",
+  "join",
+  "js",
+  "json",
+  "jwt",
+  "knowledgebase",
+  "legal",
+  "license",
+  "login",
+  "logout",
+  "logs",
+  "mail",
+  "mailer",
+  "mailerdaemon",
+  "mailing",
+  "manage",
+  "manager",
+  "marketing",
+  "master",
+  "me",
+  "media",
+  "member",
+  "members",
+  "message",
+  "messages",
+  "mobile",
+  "mod",
+  "moderator",
+  "moderators",
+  "mods",
+  "monitor",
+  "my",
+  "mysql",
+  "name",
+  "network",
+  "new",
+  "news",
+  "newsletter",
+  "nobody",
+  "noc",
+  "noreply",
+  "notification",
+  "notifications",
+  "null",
+  "oauth",
+  "official",
+  "online",
+  "operator",
+  "order",
+  "orders",
+  "owner",
+  "page",
+  "pages",
+  "partner",
+  "partners",
+  "password",
+  "payment",
+  "payments",
+  "perl",
+  "php",
+  "plans",
+  "plugin",
+  "plugins",
+  "pop",
+  "pop3",
+  "popular",
+  "portal",
+  "post",
+  "postmaster",
+  "posts",
+  "premium",
+  "pricing",
+  "privacy",
+  "private",
+  "pro",
+  "profile",
+  "profiles",
+  "project",
+  "projects",
+  "public",
+  "python",
+  "random",
+  "register",
+  "registration",
+  "root",
+  "rss",
+  "ruby",
+  "sales",
+  "sample",
+  "samples",
+  "sandbox",
+  "script",
+  "scripts",
+  "search",
+  "secure",
+  "security",
+  "server",
+  "servers",
+  "service",
+  "services",
+  "session",
+  "sessions",
+  "settings",
+  "setup",
+  "shop",
+  "signin",
+  "signout",
+  "signup",
+  "site",
+  "sitemap",
+  "sites",
+  "smtp",
+  "sql",
+  "ssl",
+  "staff",
+  "stage",
+  "staging",
+  "stats",
+  "status",
+  "store",
+  "stores",
+  "subscribe",
+  "support",
+  "sys",
+  "sysadmin",
+  "system",
+  "tablet",
+  "team",
+  "teams",
+  "terms",
+  "test",
+  "testing",
+  "tests",
+  "theme",
+  "themes",
+  "tmp",
+  "tools",
+  "trust",
+  "undefined",
+  "unsubscribe",
+  "update",
+  "upgrade",
+  "upload",
+  "uploads",
+  "url",
+  "user",
+  "username",
+  "users",
+  "verification",
+  "verify",
+  "video",
+  "videos",
+  "web",
+  "webmail",
+  "webmaster",
+  "website",
+  "websites",
+  "welcome",
+  "widget",
+  "widgets",
+  "wiki",
+  "www",
+  "xml",
+  "you",
+  "yourname",
+  "yourusername",
+];
+
+export { reservedUserNameList };
@@ -0,0 +1,85 @@
+import { ValidationError } from "./errors";
+
+/**
+ * What a rule is called with besides the value.
+ *
+ * - `path` - Where the value is in the validated data.
+ * - `params` - The params the rule was used with, see `rule`.
+ * - `signal` - Aborted when the validation times out or is cancelled, in `validateByStructureAsync`;
+ *   pass it on to lookups that accept one, e.g. `fetch` or a database query.
+ */
+interface RuleContext {
+  path: string;
+  params: { [key: string]: any };
+  signal?: AbortSignal;
+}
+
+/**
+ * A rule check: like a refinement check, the value is invalid when it returns `false` or an Error,
+ * or throws. Async checks return a promise, and can only run in `validateByStructureAsync`.
+ */
+type RuleCheck = (
+  value: any,
+  context: RuleContext
+) => boolean | Error | void | PromiseLike<boolean | Error | void>;
+
+/**
+ * A named custom rule, registered with `registerRule`.
+ *
+ * - `check` - Decides whether the value is valid.
+ * - `code` - The issue code when it isn't (default `"custom"`).
+ * - `expected` - Describes a valid value in issues.
+ * - `message` - A fixed issue message; by default the message of `code` is rendered from the catalog.
+ */
+interface RuleDefinition {
+  check: RuleCheck;
+  code?: string;
+  expected?: string;
+  message?: string;
+}
+
+const rules = new Map<string, RuleDefinition>();
+
+/**
+ * Registers a named rule, or replaces the rule registered under that name.
+ * Structures look rules up when they are validated, so a rule can be registered after
+ * the structures that use it, e.g. swapped for an in-memory stub in tests.
+ *
+ * @example
+ * registerRule("username_available", {
+ *   check: async (name, { signal }) => !(await users.exists({ name }, { signal })),
+ *   code: "username.taken",
+ * });
+ *
+ * @param name - The name structures use the rule by.
+ * @param rule - The check, or the check with its issue code, description and message.
+ */
+function registerRule(name: string, rule: RuleCheck | RuleDefinition): void {
+  rules.set(name, typeof rule === "function" ? { check: rule } : rule);
+}
+
+/**
+ * Removes a registered rule.
+ *
+ * @param name - The name of the rule.
+ * @returns True if the rule was registered.
+ */
+function unregisterRule(name: string): boolean {
+  return rules.delete(name);
+}
+
+/**
+ * Looks up a registered rule.
+ *
+ * @param name - The name of the rule.
+ * @returns The rule.
+ * @throws ValidationError if no rule is registered under the name.
+ */
+function getRule(name: string): RuleDefinition {
+  const rule = rules.get(name);
+  if (!rule) throw new ValidationError("rule.unknown", { rule: name });
+  return rule;
+}
+
+export { registerRule, unregisterRule, getRule };
+export type { RuleContext, RuleCheck, RuleDefinition };
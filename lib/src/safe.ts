@@ -0,0 +1,88 @@
+import { validateByStructure } from "./structure";
+import { ValidationError } from "./errors";
+import type { Structure, Throwing, ValidateOptions } from "./structure";
+import type { Infer } from "./infer";
+
+/**
+ * Result of a non-throwing validator: the validated value, or every error found.
+ */
+type SafeResult<T> =
+  | { ok: true; value: T }
+  | { ok: false; errors: ValidationError[] };
+
+/**
+ * Converts anything a validator throws or returns into a `ValidationError`.
+ * Errors of other classes keep their message under the `custom` code.
+ *
+ * @param error - The thrown or returned value.
+ * @returns The validation error.
+ */
+function toValidationError(error: unknown): ValidationError {
+  if (error instanceof ValidationError) return error;
+  return new ValidationError(
+    "custom",
+    {},
+    { message: error instanceof Error ? error.message : String(error) }
+  );
+}
+
+/**
+ * Wraps a validator that throws (or returns) an Error into one that never throws.
+ * The validated value is the first argument of the validator.
+ *
+ * @example
+ * const safeValidateZip = safe(validateZip);
+ * const result = safeValidateZip("1234");
+ * if (!result.ok) console.log(result.errors[0].code);
+ *
+ * @param validator - The validator to wrap.
+ * @returns The non-throwing validator.
+ */
+function safe<A extends [any, ...any[]]>(
+  validator: (...args: A) => Throwing
+): (...args: A) => SafeResult<A[0]> {
+  return (...args) => {
+    try {
+      const error = validator(...args);
+      if (error instanceof Error) {
+        return { ok: false, errors: [toValidationError(error)] };
+      }
+    } catch (error) {
+      return { ok: false, errors: [toValidationError(error)] };
+    }
+    return { ok: true, value: args[0] };
+  };
+}
+
+/**
+ * Non-throwing variant of `validateByStructure` that always collects every issue.
+ * On success `value` is the validated data with defaults filled in and unknown keys stripped as configured.
+ *
+ * @param structure - The structure to validate against.
+ * @param arg - The data to be validated.
+ * @param options - Validation options, as for `validateByStructure`.
+ * @returns The validated value, or one `ValidationError` per issue.
+ */
+function safeValidateByStructure<S extends Structure>(
+  structure: S,
+  arg: unknown,
+  options: Omit<ValidateOptions, "allErrors"> = {}
+): SafeResult<Infer<S>> {
+  try {
+    const result = validateByStructure(structure, arg, {
+      ...options,
+      allErrors: true,
+    });
+    if (result.valid) return { ok: true, value: result.value };
+    return {
+      ok: false,
+      errors: result.issues.map((issue) => ValidationError.fromIssues([issue])),
+    };
+  } catch (error) {
+    // e.g. a throwing `withDefault` factory: reported like any other error
+    return { ok: false, errors: [toValidationError(error)] };
+  }
+}
+
+export { safe, safeValidateByStructure, toValidationError };
+export type { SafeResult };
@@ -0,0 +1,459 @@
+import { encodeHTML } from "./encode";
+
+/**
+ * What `sanitizeHTML` keeps.
+ *
+ * - `allowedTags` - Elements to keep. Other elements are unwrapped: their content stays, their tags go.
+ * - `allowedAttributes` - Attributes to keep per element; `"*"` lists attributes allowed on every element.
+ * - `allowedProtocols` - URL schemes accepted in URL attributes like `href` and `src`; relative URLs are always accepted.
+ */
+interface SanitizeProfile {
+  allowedTags: string[];
+  allowedAttributes: { [tag: string]: string[] };
+  allowedProtocols: string[];
+}
+
+/**
+ * Options for `sanitizeHTML`: a built-in profile, with any of its fields replaced.
+ *
+ * - `profile` - `"text"`, `"basic"` (default) or `"rich"`, see `sanitizeProfiles`.
+ */
+interface SanitizeOptions extends Partial<SanitizeProfile> {
+  profile?: keyof typeof sanitizeProfiles;
+}
+
+const basicTags = [
+  "p",
+  "br",
+  "b",
+  "strong",
+  "i",
+  "em",
+  "u",
+  "s",
+  "strike",
+  "del",
+  "ins",
+  "sub",
+  "sup",
+  "small",
+  "mark",
+  "code",
+  "pre",
+  "blockquote",
+  "ul",
+  "ol",
+  "li",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "hr",
+  "span",
+];
+
+/**
+ * The built-in profiles:
+ *
+ * - `text` - No markup at all, only text.
+ * - `basic` - Basic formatting: paragraphs, emphasis, lists, quotes, code and headings, without attributes.
+ * - `rich` - Basic formatting plus links and images.
+ */
+const sanitizeProfiles: {
+  [name in "text" | "basic" | "rich"]: SanitizeProfile;
+} = {
+  text: { allowedTags: [], allowedAttributes: {}, allowedProtocols: [] },
+  basic: {
+    allowedTags: basicTags,
+    allowedAttributes: {},
+    allowedProtocols: [],
+  },
+  rich: {
+    allowedTags: [...basicTags, "a", "img"],
+    allowedAttributes: {
+      a: ["href", "title", "target", "rel"],
+      img: ["src", "alt", "title", "width", "height"],
+    },
+    allowedProtocols: ["http", "https", "mailto"],
+  },
+};
+
+const voidElements = new Set([
+  "area",
+  "br",
+  "col",
+  "hr",
+  "img",
+  "input",
+  "wbr",
+]);
+
+/**
+ * Elements dropped with everything inside them, whatever the profile says: their content is
+ * either not meant to be shown or parsed by other rules (scripts, styles, SVG, MathML, ...).
+ */
+const droppedElements = new Set([
+  "script",
+  "style",
+  "iframe",
+  "frame",
+  "frameset",
+  "object",
+  "embed",
+  "applet",
+  "noscript",
+  "noembed",
+  "noframes",
+  "template",
+  "svg",
+  "math",
+  "xmp",
+  "plaintext",
+  "textarea",
+  "title",
+  "select",
+]);
+
+/**
+ * Elements whose content is raw text up to their end tag, not markup.
+ */
+const rawTextElements = new Set([
+  "script",
+  "style",
+  "iframe",
+  "noscript",
+  "noembed",
+  "noframes",
+  "xmp",
+  "textarea",
+  "title",
+]);
+
+const urlAttributes = new Set([
+  "href",
+  "src",
+  "cite",
+  "action",
+  "formaction",
+  "poster",
+  "background",
+  "longdesc",
+  "usemap",
+  "xlink:href",
+]);
+
+/**
+ * Start tags that close an open element first, and where the search for it stops.
+ */
+const impliedEnds: { [tag: string]: { closes: string[]; scope: string[] } } = {
+  li: { closes: ["li"], scope: ["ul", "ol"] },
+  dt: { closes: ["dt", "dd"], scope: ["dl"] },
+  dd: { closes: ["dt", "dd"], scope: ["dl"] },
+  tr: {
+    closes: ["tr", "td", "th"],
+    scope: ["table", "thead", "tbody", "tfoot"],
+  },
+  td: { closes: ["td", "th"], scope: ["tr", "table"] },
+  th: { closes: ["td", "th"], scope: ["tr", "table"] },
+  a: { closes: ["a"], scope: [] },
+};
+
+const closesParagraph = new Set([
+  "address",
+  "article",
+  "aside",
+  "blockquote",
+  "details",
+  "div",
+  "dl",
+  "fieldset",
+  "figcaption",
+  "figure",
+  "footer",
+  "form",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "header",
+  "hr",
+  "main",
+  "nav",
+  "ol",
+  "p",
+  "pre",
+  "section",
+  "table",
+  "ul",
+]);
+
+const namedEntities: { [name: string]: string } = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+  hellip: "…",
+  mdash: "—",
+  ndash: "–",
+  laquo: "«",
+  raquo: "»",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  euro: "€",
+  colon: ":",
+  tab: "\t",
+  newline: "\n",
+  lpar: "(",
+  rpar: ")",
+};
+
+/**
+ * Decodes character references the way browsers do, so checks see what the browser will see.
+ * Unknown named references stay as they are; they are encoded again on output.
+ *
+ * @param text - Text or an attribute value as written in the markup.
+ * @returns The decoded text.
+ */
+function decodeEntities(text: string): string {
+  return text.replace(
+    /&(?:#x([0-9a-f]+);?|#(\d+);?|([a-z][a-z0-9]*);)/gi,
+    (reference, hex, decimal, name) => {
+      if (name) {
+        const decoded = namedEntities[name.toLowerCase()];
+        return decoded === undefined ? reference : decoded;
+      }
+      const codePoint = hex ? parseInt(hex, 16) : parseInt(decimal, 10);
+      const invalid =
+        !codePoint ||
+        codePoint > 0x10ffff ||
+        (codePoint >= 0xd800 && codePoint <= 0xdfff);
+      return String.fromCodePoint(invalid ? 0xfffd : codePoint);
+    }
+  );
+}
+
+/**
+ * Whether a URL attribute value is safe: relative, or using an allowed scheme.
+ * Browsers ignore control characters and whitespace in schemes, so `java\tscript:` is caught too.
+ *
+ * @param value - The decoded attribute value.
+ * @param protocols - The allowed schemes, without colons.
+ * @returns True if the URL can be kept.
+ */
+function isSafeURL(value: string, protocols: string[]): boolean {
+  const compact = value.replace(/[\x00-\x20\x7f]/g, "");
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || protocols.includes(scheme[1].toLowerCase());
+}
+
+interface Attribute {
+  name: string;
+  value: string;
+}
+
+/**
+ * Parses the attributes of a start tag.
+ *
+ * @param source - The markup after the tag name, up to the closing `>`.
+ * @returns The attributes, in order, decoded.
+ */
+function parseAttributes(source: string): Attribute[] {
+  const attributes: Attribute[] = [];
+  const pattern =
+    /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"?|'([^']*)'?|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    const [, name, doubleQuoted, singleQuoted, unquoted] = match;
+    const value = doubleQuoted ?? singleQuoted ?? unquoted ?? "";
+    attributes.push({ name: name.toLowerCase(), value: decodeEntities(value) });
+  }
+  return attributes;
+}
+
+/**
+ * Finds the end of a tag, skipping `>` characters inside quoted attribute values.
+ *
+ * @param html - The markup.
+ * @param from - The index to search from.
+ * @returns The index of the closing `>`, or -1.
+ */
+function findTagEnd(html: string, from: number): number {
+  let afterEquals = false;
+  for (let index = from; index < html.length; index++) {
+    const character = html[index];
+    if (character === ">") return index;
+    // Quotes only open a value right after "="
+    if (afterEquals && (character === '"' || character === "'")) {
+      const close = html.indexOf(character, index + 1);
+      if (close === -1) return -1;
+      index = close;
+    }
+    if (character === "=") afterEquals = true;
+    else if (!/\s/.test(character)) afterEquals = false;
+  }
+  return -1;
+}
+
+/**
+ * Sanitizes untrusted HTML, e.g. from a rich-text editor, by parsing it and keeping only allowlisted
+ * elements and attributes. Event handler attributes and `javascript:`, `data:` or other disallowed URLs
+ * are always dropped, as are scripts, styles and other elements in `droppedElements` with their content.
+ * Unclosed and misnested tags are closed, stray end tags removed, and text is encoded again,
+ * so the output is well-formed. Runs without a DOM.
+ *
+ * @example
+ * sanitizeHTML('<p onclick="x()">Hi <a href="javascript:alert(1)">there</a><script>x()</script>', { profile: "rich" });
+ * // '<p>Hi <a>there</a></p>'
+ *
+ * @param html - The untrusted markup.
+ * @param options - The profile to apply and overrides of its fields.
+ * @returns Safe HTML.
+ */
+function sanitizeHTML(html: string, options: SanitizeOptions = {}): string {
+  const profile = sanitizeProfiles[options.profile || "basic"];
+  const allowedTags = new Set(options.allowedTags || profile.allowedTags);
+  const allowedAttributes =
+    options.allowedAttributes || profile.allowedAttributes;
+  const protocols = (options.allowedProtocols || profile.allowedProtocols).map(
+    (protocol) => protocol.toLowerCase().replace(/:$/, "")
+  );
+
+  const source = String(html ?? "");
+  const stack: string[] = [];
+  let output = "";
+  let dropping: { name: string; depth: number } | undefined;
+
+  const close = (index: number) => {
+    while (stack.length > index) output += `</${stack.pop()}>`;
+  };
+
+  const openTag = (name: string, attributes: Attribute[]) => {
+    if (closesParagraph.has(name) && stack.includes("p")) {
+      close(stack.lastIndexOf("p"));
+    }
+    const implied = impliedEnds[name];
+    if (implied) {
+      for (let index = stack.length - 1; index >= 0; index--) {
+        if (implied.scope.includes(stack[index])) break;
+        if (implied.closes.includes(stack[index])) {
+          close(index);
+          break;
+        }
+      }
+    }
+
+    const allowed = [
+      ...(allowedAttributes[name] || []),
+      ...(allowedAttributes["*"] || []),
+    ];
+    const kept: Attribute[] = [];
+    attributes.forEach((attribute) => {
+      const { name: attributeName, value } = attribute;
+      if (
+        !allowed.includes(attributeName) ||
+        attributeName.startsWith("on") ||
+        kept.some((other) => other.name === attributeName) ||
+        (urlAttributes.has(attributeName) && !isSafeURL(value, protocols))
+      ) {
+        return;
+      }
+      kept.push(attribute);
+    });
+    // Pages opened with target="_blank" must not get a handle on this one
+    if (kept.some((attribute) => attribute.name === "target")) {
+      const rel = kept.find((attribute) => attribute.name === "rel");
+      const values = new Set(
+        `${rel ? rel.value : ""} noopener noreferrer`
+          .split(/\s+/)
+          .filter(Boolean)
+      );
+      if (rel) rel.value = [...values].join(" ");
+      else kept.push({ name: "rel", value: [...values].join(" ") });
+    }
+
+    output += `<${name}${kept
+      .map((attribute) => ` ${attribute.name}="${encodeHTML(attribute.value)}"`)
+      .join("")}>`;
+    if (!voidElements.has(name)) stack.push(name);
+  };
+
+  let index = 0;
+  while (index < source.length) {
+    const start = source.indexOf("<", index);
+    const text = source.slice(index, start === -1 ? source.length : start);
+    if (text && !dropping) output += encodeHTML(decodeEntities(text));
+    if (start === -1) break;
+    index = start;
+
+    // Comments, doctypes, CDATA and processing instructions are dropped
+    if (source.startsWith("<!--", index)) {
+      const end = source.indexOf("-->", index + 4);
+      index = end === -1 ? source.length : end + 3;
+      continue;
+    }
+    if (/^<[!?]/.test(source.slice(index, index + 2))) {
+      const end = source.indexOf(">", index);
+      index = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    const tag = source.slice(index).match(/^<(\/?)([a-zA-Z][^\s/>]*)/);
+    if (!tag) {
+      if (!dropping) output += "&lt;";
+      index++;
+      continue;
+    }
+    const end = findTagEnd(source, index + tag[0].length);
+    if (end === -1) break; // An unfinished tag at the end is dropped
+    const closing = tag[1] === "/";
+    const name = tag[2].toLowerCase();
+    const rest = source.slice(index + tag[0].length, end);
+    index = end + 1;
+
+    if (dropping) {
+      if (name === dropping.name) {
+        dropping.depth += closing ? -1 : 1;
+        if (dropping.depth === 0) dropping = undefined;
+      }
+      continue;
+    }
+    if (closing) {
+      const open = stack.lastIndexOf(name);
+      if (open !== -1) close(open);
+      continue;
+    }
+    if (droppedElements.has(name)) {
+      if (name === "plaintext") break;
+      if (rawTextElements.has(name)) {
+        const closeTag = new RegExp(`</${name}[\\s/>]`, "gi");
+        closeTag.lastIndex = index;
+        const found = closeTag.exec(source);
+        const after = found ? findTagEnd(source, found.index + 2) : -1;
+        index = after === -1 ? source.length : after + 1;
+      } else if (!/\/\s*$/.test(rest)) {
+        dropping = { name, depth: 1 };
+      }
+      continue;
+    }
+    if (allowedTags.has(name) && /^[a-z][a-z0-9-]*$/.test(name)) {
+      openTag(name, parseAttributes(rest));
+    }
+  }
+
+  close(0);
+  return output;
+}
+
+export { sanitizeHTML, sanitizeProfiles };
+export type { SanitizeProfile, SanitizeOptions };
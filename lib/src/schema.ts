@@ -0,0 +1,364 @@
+import {
+  Structure,
+  StructureLike,
+  LazyStructure,
+  ArrayStructure,
+  Refinement,
+  Primitive,
+  STRUCTURE,
+  optional,
+  nullable,
+  withDefault,
+  withUnknownKeys,
+  refine,
+  transform,
+  coerce,
+  literal,
+  oneOf,
+  union,
+  record,
+  lazy,
+  arrayOf,
+  tuple,
+  isRefined,
+  isTransformed,
+  mapStructure,
+} from "./structure";
+import {
+  trim,
+  toLowerCase,
+  toUpperCase,
+  normalizeNFC,
+  normalizeNFKC,
+} from "./transform";
+import type { Transform } from "./transform";
+import type {
+  SHAPE,
+  OPTIONAL,
+  NULLABLE,
+  DEFAULTED,
+  TRANSFORMED,
+  InferInput,
+  ArrayOf,
+  TupleOf,
+  LiteralOf,
+  UnionOf,
+  RecordOf,
+} from "./infer";
+
+/**
+ * Base class of every schema built with `schema`.
+ * A schema is an immutable wrapper around a plain `Structure`: every method returns a new schema,
+ * and schemas can be passed anywhere a structure is accepted, including inside plain structures.
+ * `S` is the type of the wrapped structure, which `Infer` reads to compute the validated type.
+ */
+class Schema<S = Structure> implements StructureLike {
+  declare readonly [SHAPE]: S;
+  readonly structure: Structure;
+
+  constructor(structure: Structure) {
+    this.structure = structure;
+  }
+
+  get [STRUCTURE](): Structure {
+    return this.structure;
+  }
+
+  /**
+   * Creates a schema of the same kind around another structure.
+   *
+   * @param structure - The new structure.
+   * @returns The new schema.
+   */
+  protected with(structure: Structure): this {
+    const Kind = this.constructor as new (structure: Structure) => this;
+    return new Kind(structure);
+  }
+
+  /**
+   * Allows the value to be missing or `undefined`.
+   */
+  optional(): this & { readonly [OPTIONAL]: true } {
+    return this.with(optional(this.structure)) as any;
+  }
+
+  /**
+   * Allows the value to be `null`.
+   */
+  nullable(): this & { readonly [NULLABLE]: true } {
+    return this.with(nullable(this.structure)) as any;
+  }
+
+  /**
+   * Fills in `value` when the value is missing or `undefined`.
+   *
+   * @param value - The default value, or a function returning it.
+   */
+  default(
+    value: InferInput<S> | (() => InferInput<S>)
+  ): this & { readonly [DEFAULTED]: true } {
+    return this.with(withDefault(this.structure, value)) as any;
+  }
+
+  /**
+   * Adds a custom check, e.g. one of the built-in validators: `schema.string().refine(validateEmail)`.
+   *
+   * @param check - Returns `false` or an Error, or throws, when the value is invalid.
+   * @param options - The issue `code`, `expected` description and `message`.
+   */
+  refine(
+    check: Refinement["check"],
+    options: Omit<Refinement, "check"> = {}
+  ): this {
+    return this.with(refine(this.structure, check, options));
+  }
+
+  /**
+   * Cleans up or converts the input before it is validated; the validated value is the transformed one.
+   *
+   * @param transforms - The transforms to apply, in order, e.g. `trim` or `emptyToUndefined`.
+   */
+  transform(
+    ...transforms: Transform[]
+  ): this & { readonly [TRANSFORMED]: true } {
+    return this.with(transform(this.structure, ...transforms)) as any;
+  }
+}
+
+/**
+ * Schema for strings, with length and pattern constraints.
+ */
+class StringSchema extends Schema<"string"> {
+  /**
+   * Removes leading and trailing whitespace before validating.
+   */
+  trim(): this {
+    return this.with(transform(this.structure, trim));
+  }
+
+  /**
+   * Converts the string to lowercase before validating.
+   */
+  toLowerCase(): this {
+    return this.with(transform(this.structure, toLowerCase));
+  }
+
+  /**
+   * Converts the string to uppercase before validating.
+   */
+  toUpperCase(): this {
+    return this.with(transform(this.structure, toUpperCase));
+  }
+
+  /**
+   * Applies Unicode normalization before validating: `"NFC"` (default) or `"NFKC"`.
+   */
+  normalize(form: "NFC" | "NFKC" = "NFC"): this {
+    return this.with(
+      transform(this.structure, form === "NFC" ? normalizeNFC : normalizeNFKC)
+    );
+  }
+
+  /**
+   * Requires at least `length` characters, counted in Unicode code points like JSON Schema's `minLength`.
+   */
+  min(length: number, message?: string): this {
+    return this.refine((value: string) => [...value].length >= length, {
+      code: "too_small",
+      expected: `at least ${length} characters`,
+      params: { type: "string", min: length },
+      message,
+    });
+  }
+
+  /**
+   * Requires at most `length` characters, counted in Unicode code points like JSON Schema's `maxLength`.
+   */
+  max(length: number, message?: string): this {
+    return this.refine((value: string) => [...value].length <= length, {
+      code: "too_big",
+      expected: `at most ${length} characters`,
+      params: { type: "string", max: length },
+      message,
+    });
+  }
+
+  /**
+   * Requires the string to match `regex`.
+   */
+  pattern(regex: RegExp, message?: string): this {
+    return this.refine((value: string) => value.search(regex) !== -1, {
+      code: "invalid_string",
+      expected: `string matching ${regex}`,
+      params: { pattern: String(regex) },
+      message,
+    });
+  }
+}
+
+/**
+ * Schema for numbers, with integer and range constraints.
+ */
+class NumberSchema extends Schema<"number"> {
+  /**
+   * Requires an integer.
+   */
+  int(message?: string): this {
+    return this.refine((value: number) => Number.isInteger(value), {
+      code: "not_integer",
+      expected: "integer",
+      message,
+    });
+  }
+
+  /**
+   * Requires a number greater than or equal to `minimum`.
+   */
+  min(minimum: number, message?: string): this {
+    return this.refine((value: number) => value >= minimum, {
+      code: "too_small",
+      expected: `at least ${minimum}`,
+      params: { type: "number", min: minimum },
+      message,
+    });
+  }
+
+  /**
+   * Requires a number less than or equal to `maximum`.
+   */
+  max(maximum: number, message?: string): this {
+    return this.refine((value: number) => value <= maximum, {
+      code: "too_big",
+      expected: `at most ${maximum}`,
+      params: { type: "number", max: maximum },
+      message,
+    });
+  }
+}
+
+/**
+ * Schema for arrays and tuples, with length and uniqueness constraints.
+ */
+class ArraySchema<S = ArrayStructure> extends Schema<S> {
+  /**
+   * Updates the constraints of the underlying array structure.
+   *
+   * @param constraints - The constraints to set.
+   * @returns The new schema.
+   */
+  private constrain(constraints: Partial<ArrayStructure>): this {
+    const update = (structure: Structure): Structure =>
+      isRefined(structure) || isTransformed(structure)
+        ? { ...structure, structure: update(structure.structure) }
+        : { ...(structure as ArrayStructure), ...constraints };
+    return this.with(mapStructure(this.structure, update));
+  }
+
+  /**
+   * Requires at least `length` items.
+   */
+  min(length: number): this {
+    return this.constrain({ minLength: length });
+  }
+
+  /**
+   * Requires at most `length` items.
+   */
+  max(length: number): this {
+    return this.constrain({ maxLength: length });
+  }
+
+  /**
+   * Rejects duplicate items, compared deeply or by the key `by` returns.
+   */
+  unique(by?: (item: any) => any): this {
+    return this.constrain({ unique: by || true });
+  }
+}
+
+/**
+ * Schema for objects with declared keys, with control over unknown keys.
+ */
+class ObjectSchema<S = { [key: string]: Structure }> extends Schema<S> {
+  /**
+   * Rejects keys the shape does not declare.
+   */
+  strict(): this {
+    return this.with(withUnknownKeys(this.structure, "reject"));
+  }
+
+  /**
+   * Removes keys the shape does not declare from the validated copy.
+   */
+  strip(): this {
+    return this.with(withUnknownKeys(this.structure, "strip"));
+  }
+
+  /**
+   * Keeps keys the shape does not declare.
+   */
+  passthrough(): this {
+    return this.with(withUnknownKeys(this.structure, "allow"));
+  }
+}
+
+/**
+ * Entry point of the schema builder. Every schema compiles down to a plain `Structure`
+ * and is validated by `validateByStructure`.
+ *
+ * @example
+ * const user = schema.object({
+ *   name: schema.string().min(3).max(32),
+ *   age: schema.number().int().min(0).optional(),
+ *   role: schema.enum(["user", "admin"]).default("user"),
+ * });
+ * validateByStructure(user, data, { allErrors: true });
+ */
+const schema = {
+  string: () => new StringSchema("string"),
+  number: () => new NumberSchema("number"),
+  boolean: () => new Schema<"boolean">("boolean"),
+  literal: <V extends Primitive>(value: V) =>
+    new Schema<LiteralOf<[V]>>(literal(value)),
+  enum: <T extends Primitive[]>(values: readonly [...T]) =>
+    new Schema<LiteralOf<T[number][]>>(oneOf(values)),
+  object: <T extends { [key: string]: Structure }>(shape: T) =>
+    new ObjectSchema<T>(shape),
+  array: <T extends Structure>(item: T) =>
+    new ArraySchema<ArrayOf<T>>(arrayOf(item)),
+  tuple: <T extends Structure[], R extends Structure | undefined = undefined>(
+    items: [...T],
+    rest?: R
+  ) => new ArraySchema<TupleOf<T, R>>(tuple(items, { rest })),
+  union: <T extends Structure[]>(options: [...T]) =>
+    new Schema<UnionOf<T>>(union(options)),
+  record: <V extends Structure>(values: V, keys?: Structure) =>
+    new Schema<RecordOf<V>>(record(values, keys)),
+  /**
+   * A schema resolved when it is validated, so it can refer to itself; `T` is the validated type.
+   */
+  lazy: <T = unknown>(getter: () => Structure, name?: string) =>
+    new Schema<LazyStructure<T>>(lazy(getter, { name })),
+  /**
+   * Schemas that also accept their value as a string, as in query strings and form data.
+   */
+  coerce: {
+    number: () =>
+      new NumberSchema(coerce("number")) as NumberSchema & {
+        readonly [TRANSFORMED]: true;
+      },
+    boolean: () =>
+      new Schema<"boolean">(coerce("boolean")) as Schema<"boolean"> & {
+        readonly [TRANSFORMED]: true;
+      },
+  },
+};
+
+export {
+  schema,
+  Schema,
+  StringSchema,
+  NumberSchema,
+  ArraySchema,
+  ObjectSchema,
+};
@@ -1,72 +1,121 @@
-type Structure = string | { [key: string]: Structure } | Structure[];
-type Throwing = Error | void;
+import {
+  validateByStructure,
+  validateByStructureAsync,
+  isValidByStructure,
+  assertByStructure,
+  parseByStructure,
+  defineStructure,
+  optional,
+  nullable,
+  withDefault,
+  withUnknownKeys,
+  strict,
+  arrayOf,
+  tuple,
+  refine,
+  rule,
+  transform,
+  coerce,
+  literal,
+  oneOf,
+  union,
+  record,
+  lazy,
+} from "./structure";
+import { registerRule, unregisterRule } from "./rules";
+import {
+  schema,
+  Schema,
+  StringSchema,
+  NumberSchema,
+  ArraySchema,
+  ObjectSchema,
+} from "./schema";
+import type { Throwing } from "./structure";
+import { describeType } from "./structure";
+import {
+  ValidationError,
+  registerMessages,
+  setLocale,
+  getLocale,
+  formatMessage,
+} from "./errors";
+import { safe, safeValidateByStructure } from "./safe";
+import {
+  trim,
+  collapseWhitespace,
+  normalizeNFC,
+  normalizeNFKC,
+  toLowerCase,
+  toUpperCase,
+  stripControlCharacters,
+  stripZeroWidth,
+  emptyToUndefined,
+  toNumber,
+  toBoolean,
+  toArray,
+  pipe,
+} from "./transform";
+import {
+  validateRequest,
+  requestErrorBody,
+  expressValidator,
+  koaValidator,
+  fastifyValidator,
+} from "./middleware";
+import { fromJSONSchema, toJSONSchema } from "./json-schema";
+import { compile } from "./compile";
+import {
+  checkPassword,
+  validatePassword,
+  safeValidatePassword,
+  defaultPasswordPolicy,
+} from "./password";
+import { validateEmail, normalizeEmail, isDisposableEmail } from "./email";
+import {
+  validateUserName,
+  normalizeUserName,
+  reservedUserNames,
+} from "./username";
+import {
+  skeleton,
+  areConfusable,
+  getScripts,
+  isMixedScript,
+} from "./confusables";
+import { DomainList, disposableDomains } from "./domains";
+import { validateURL, parseURL, isPrivateIP } from "./url";
+import {
+  encodeHTML,
+  encodeHTMLAttribute,
+  encodeJSString,
+  encodeCSSString,
+  encodeURLComponent,
+} from "./encode";
+import { sanitizeHTML, sanitizeProfiles } from "./sanitize";
+import {
+  detectSqlInjection,
+  validateIdentifier,
+  quoteIdentifier,
+  identifier,
+  sql,
+  createSqlTag,
+  SqlQuery,
+} from "./sql";
+import { scorePassword, isCommonPassword, commonPasswords } from "./strength";
 
 /**
- * Validates if the given data (`arg`) matches the defined `structure`.
- * If validation fails, it returns an Error, otherwise it returns nothing (void).
+ * Builds the error thrown by `validateType` when a value does not match a type.
  *
- * @param structure - The structure to validate against, can be a string, array, or object.
- * @param arg - The data to be validated.
- * @param path - The current path in the structure for error reporting.
- * @returns An Error if validation fails, otherwise nothing (void).
+ * @param type - The expected type (a constructor, a sample value or null).
+ * @param value - The value that did not match.
+ * @returns The "type.mismatch" error.
  */
-function validateByStructure(
-  structure: Structure,
-  arg: any,
-  path: string = "" // `path` is used to track the current location within the structure for error reporting
-): Throwing {
-  if (typeof structure === "string") {
-    // If the structure is a string, check if the type of the argument matches the expected type (string)
-    if (typeof arg !== structure) {
-      return new Error(
-        `Expected type ${structure} at path "${path}", but got ${typeof arg}`
-      );
-    }
-  } else if (Array.isArray(structure)) {
-    // If the structure is an array, ensure the argument is also an array
-    if (!Array.isArray(arg)) {
-      return new Error(
-        `Expected an array at path "${path}", but got ${typeof arg}`
-      );
-    }
-    // Validate each item in the array based on its respective structure
-    for (let i = 0; i < structure.length; i++) {
-      for (let j = 0; j < arg.length; j++) {
-        const error = validateByStructure(
-          structure[i],
-          arg[j],
-          `${path}[${j}]` // The path includes the index to specify the exact location in the array
-        );
-        if (error) return error; // If there's an error, return it immediately
-      }
-    }
-  } else if (typeof structure === "object") {
-    // If the structure is an object, ensure the argument is also an object
-    if (typeof arg !== "object" || arg === null) {
-      return new Error(
-        `Expected an object at path "${path}", but got ${typeof arg}`
-      );
-    }
-    // Validate each key-value pair in the object
-    for (const key in structure) {
-      if (structure.hasOwnProperty(key)) {
-        if (arg.hasOwnProperty(key)) {
-          const error = validateByStructure(
-            structure[key], // Validate the value corresponding to the current key
-            arg[key],
-            `${path}.${key}` // Append the key to the path for detailed error reporting
-          );
-          if (error) return error; // Return error immediately if found
-        } else {
-          return new Error(`Missing key "${key}" at path "${path}"`);
-        }
-      }
-    }
-  } else {
-    // If the structure type is unknown, return an error
-    return new Error(`Unknown structure type at path "${path}"`);
-  }
-}
+const typeMismatch = (type: any, value: any): ValidationError =>
+  new ValidationError("type.mismatch", {
+    expected: typeof type === "function" ? type.name : describeType(type),
+    received: describeType(value),
+  });
 
 /**
  * Validates the type of a value against a given type.
@@ -80,7 +129,7 @@ function validateType(type: any, value: any): void {
   // If either type or value is null, check if both are null
   if (type === null || value === null) {
     if (type !== value) {
-      throw new Error(`Type of ${type} does not match ${value}`);
+      throw typeMismatch(type, value);
     }
     return;
   }
@@ -90,7 +139,7 @@ function validateType(type: any, value: any): void {
     if (value !== null && typeof value === "object" && !Array.isArray(value)) {
       return;
     }
-    throw new Error(`Type of ${type} does not match ${value}`);
+    throw typeMismatch(type, value);
   }
 
   // If type is Array, ensure the value is an array
@@ -98,7 +147,7 @@ function validateType(type: any, value: any): void {
     if (Array.isArray(value)) {
       return;
     }
-    throw new Error(`Type of ${type} does not match ${value}`);
+    throw typeMismatch(type, value);
   }
 
   // If type is a function (constructor), check if the value is an instance of that function
@@ -113,107 +162,10 @@ function validateType(type: any, value: any): void {
     if (typeof type === typeof value) return;
     // If type is an array, check if the value is also an array
     if (Array.isArray(type) && Array.isArray(value)) return;
-    throw new Error(`Type of ${type} does not match ${typeof value}`);
+    throw typeMismatch(type, value);
   }
   // If no condition was met, throw an error
-  throw new Error(`Type of ${type} does not match ${typeof value}`);
-}
-
-/**
- * Validates if the provided email address is in a valid format and adheres to specific length constraints.
- * Throws an error if the email is invalid or does not meet the length requirements.
- *
- * @param email - The email address to be validated.
- * @param possibleEmailMinLength - The minimum length of the email (default 5).
- * @param possibleEmailLength - The maximum length of the email (default 64).
- * @throws Error if the email format or length is invalid.
- */
-function validateEmail(
-  email: string,
-  possibleEmailMinLength: number = 5,
-  possibleEmailLength: number = 64
-): void {
-  console.log(`Email: ${email}, Length: ${email.length}`); // Добавим логирование
-
-  if (email.length < possibleEmailMinLength) {
-    throw new Error(
-      `Email must be at least ${possibleEmailMinLength} characters long.`
-    );
-  }
-  if (email.length > possibleEmailLength) {
-    throw new Error(`Email must not exceed ${possibleEmailLength} characters.`);
-  }
-
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
-    throw new Error("Email must be a valid email address.");
-  }
-}
-
-/**
- * Validates if the provided username follows specific length constraints and contains only allowed characters (letters and numbers).
- * Throws an error if the username is invalid.
- *
- * @param userName - The username to be validated.
- * @param possibleUserNameMinLength - The minimum length of the username (default 5).
- * @param possibleUserNameLength - The maximum length of the username (default 32).
- * @throws Error if the username format or length is invalid.
- */
-function validateUserName(
-  userName: string,
-  possibleUserNameMinLength: number = 5,
-  possibleUserNameLength: number = 32
-): void {
-  const userNameRegex = /^[a-zA-Z0-9]+$/;
-
-  if (!userNameRegex.test(userName)) {
-    throw new Error("Username must contain only letters and numbers.");
-  }
-  if (userName.length < possibleUserNameMinLength) {
-    throw new Error(
-      `Username must be at least ${possibleUserNameMinLength} characters long.`
-    );
-  }
-  if (userName.length > possibleUserNameLength) {
-    throw new Error(
-      `Username must not exceed ${possibleUserNameLength} characters.`
-    );
-  }
-}
-
-/**
- * Validates if the provided password meets strength requirements (length, character types).
- * Throws an error if the password does not meet the criteria.
- *
- * @param password - The password to be validated.
- * @param possiblePasswordMinLength - The minimum length of the password (default 8).
- * @param possiblePasswordLength - The maximum length of the password (default 128).
- * @throws Error if the password format or length is invalid.
- */
-function validatePassword(
-  password: string,
-  possiblePasswordMinLength: number = 8,
-  possiblePasswordLength: number = 128
-): void {
-  if (password.length < possiblePasswordMinLength) {
-    throw new Error(
-      `Password must be at least ${possiblePasswordMinLength} characters long.`
-    );
-  }
-
-  if (password.length > possiblePasswordLength) {
-    throw new Error(
-      `Password must not exceed ${possiblePasswordLength} characters.`
-    );
-  }
-
-  const passwordRegex =
-    /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,128}$/;
-  if (!passwordRegex.test(password)) {
-    throw new Error(
-      "Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character."
-    );
-  }
+  throw typeMismatch(type, value);
 }
 
 type InputValidation = (input: string) => string;
@@ -222,6 +174,9 @@ type InputValidation = (input: string) => string;
  * isSqlInjection - Function to prevent SQL injections.
  * Checks the string for potentially dangerous SQL commands and escapes them.
  *
+ * @deprecated Backslash escaping does not stop SQL injection and changes ordinary input.
+ * Pass values to queries as parameters with `sql`, validate names with `quoteIdentifier`,
+ * and use `detectSqlInjection` to log or reject suspicious input.
  * @param input - The string to be checked for SQL injection.
  * @returns The string with SQL keywords escaped if found.
  */
@@ -240,6 +195,9 @@ const isSqlInjection: InputValidation = (input) => {
  * isJsScript - Function to prevent JavaScript injections.
  * Checks the string for <script> tags and escapes them.
  *
+ * @deprecated Removing `<script>` tags is not sanitization and HTML escaping is only right for HTML text.
+ * Encode for the output context instead: `encodeHTML`, `encodeHTMLAttribute`, `encodeJSString`,
+ * `encodeCSSString` or `encodeURLComponent`. To keep safe markup from rich text, use `sanitizeHTML`.
  * @param input - The string to check for <script> tags.
  * @returns The string with <script> tags replaced with escaped versions.
  */
@@ -247,111 +205,73 @@ const isJsScript = (input: string): string => {
   const scriptRegex = /<\s*script[^>]*>([\s\S]*?)<\/\s*script>/gi;
   input = input.replace(scriptRegex, (_, scriptContent) => scriptContent);
 
-  const escapeHtml = (str: string) => {
-    return str.replace(/[&<>"']/g, (char) => {
-      switch (char) {
-        case "&":
-          return "&amp;";
-        case "<":
-          return "&lt;";
-        case ">":
-          return "&gt;";
-        case '"':
-          return "&quot;";
-        case "'":
-          return "&#39;";
-        default:
-          return char;
-      }
-    });
-  };
-
-  return escapeHtml(input);
+  return encodeHTML(input);
 };
 
-/**
- * validateURL - Function to validate the URL format.
- * Ensures the URL follows the correct format, does not exceed the maximum length,
- * and optionally belongs to one of the allowed domains.
- *
- * @param url - The URL to validate.
- * @param maxLength - Maximum allowed length of the URL (default is 2048).
- * @param allowedDomains - List of allowed domains. If not provided, no domain check is performed.
- * @throws Error if the URL does not meet the requirements.
- */
-function validateURL(
-  url: string,
-  maxLength: number = 2048,
-  allowedDomains: string[] = []
-): void {
-  const urlRegex =
-    /^(https?:\/\/)?([a-zA-Z0-9-]+\.)+[a-zA-Z]{2,6}(\/[a-zA-Z0-9-]*)*(\?[a-zA-Z0-9=&]*)?(#[a-zA-Z0-9-_]*)?$/;
-
-  if (!urlRegex.test(url)) {
-    throw new Error("Invalid URL.");
-  }
-
-  if (url.length > maxLength) {
-    throw new Error(
-      `URL exceeds the maximum length of ${maxLength} characters.`
-    );
-  }
-
-  if (allowedDomains.length > 0) {
-    const domain = new URL(url).hostname;
-    if (
-      !allowedDomains.some((allowedDomain) => domain.endsWith(allowedDomain))
-    ) {
-      throw new Error(
-        `URL must belong to one of the allowed domains: ${allowedDomains.join(
-          ", "
-        )}.`
-      );
-    }
-  }
-}
-
 /**
  * validateNonEmptyFields - Recursive function to check that no fields in an object or array are empty.
  * Ensures no field is null, undefined, or an empty string.
- * Supports nested objects and arrays up to the specified depth.
+ * Supports nested objects and arrays, with no depth limit unless one is given.
+ * Objects and arrays that contain themselves are reported instead of being followed forever.
  *
  * @param data - The object or array to check for empty fields.
- * @param depth - Maximum depth of recursion (default is 10).
+ * @param depth - Maximum depth of recursion; deeper fields are not checked (default is no limit).
  * @param currentDepth - Current recursion depth (default is 0).
- * @throws Error if a field is empty at the specified depth.
+ * @throws ValidationError if a field is empty at the specified depth, or the data is cyclic.
  */
 function validateNonEmptyFields(
   data: any,
-  depth: number = 10,
+  depth: number = Infinity,
   currentDepth: number = 0
+): void {
+  checkNonEmptyFields(data, depth, currentDepth, new Set());
+}
+
+/**
+ * Walks the data for `validateNonEmptyFields`.
+ *
+ * @param data - The value to check.
+ * @param depth - Maximum depth of recursion.
+ * @param currentDepth - Current recursion depth.
+ * @param ancestors - The objects and arrays enclosing `data`.
+ */
+function checkNonEmptyFields(
+  data: any,
+  depth: number,
+  currentDepth: number,
+  ancestors: Set<object>
 ): void {
   if (currentDepth >= depth) {
     return;
   }
 
+  if (typeof data === "object" && data !== null) {
+    if (ancestors.has(data)) {
+      throw new ValidationError("value.cyclic", { depth: currentDepth });
+    }
+    ancestors.add(data);
+  }
   if (Array.isArray(data)) {
     data.forEach((item, index) => {
-      validateNonEmptyFields(item, depth, currentDepth + 1);
+      checkNonEmptyFields(item, depth, currentDepth + 1, ancestors);
     });
   } else if (typeof data === "object" && data !== null) {
     Object.entries(data).forEach(([key, value]: [string | number, any]) => {
       if (value === null || value === undefined || value === "") {
-        throw new Error(
-          `Field "${key}" cannot be null, undefined, or empty at depth ${currentDepth}.`
-        );
+        throw new ValidationError("field.empty", { key, depth: currentDepth });
       }
       if (typeof value === "object" || Array.isArray(value)) {
-        validateNonEmptyFields(value, depth, currentDepth + 1);
+        checkNonEmptyFields(value, depth, currentDepth + 1, ancestors);
       }
     });
   } else {
     if (data === null || data === undefined || data === "") {
-      throw new Error(
-        `Value cannot be null, undefined, or empty at depth ${currentDepth}.`
-      );
+      throw new ValidationError("value.empty_at_depth", {
+        depth: currentDepth,
+      });
     }
   }
+  ancestors.delete(data);
 }
 
 /**
@@ -359,24 +279,22 @@ function validateNonEmptyFields(
  * Checks if values are null, undefined, empty strings, arrays, or objects.
  *
  * @param value - The value to check.
- * @throws Error if the value is empty or has an invalid type.
+ * @throws ValidationError if the value is empty or has an invalid type.
  */
 function isNull(value: any): Throwing {
   // Check if the value is falsy (excluding 0 and false), null, undefined, or empty
   if (!value && value !== 0 && value !== false) {
-    throw new Error("Value is null, undefined, or falsy");
+    throw new ValidationError("value.falsy");
   }
 
   // Check if the value is an empty object, array, or class instance
   if (typeof value === "object" && value !== null) {
     if (Array.isArray(value) && value.length === 0) {
-      throw new Error("Value is an empty array");
+      throw new ValidationError("value.empty_array");
     }
     if (!Array.isArray(value) && Object.keys(value).length === 0) {
-      throw new Error(
-        value instanceof Object
-          ? "Value is an empty class instance"
-          : "Value is an empty object"
+      throw new ValidationError(
+        value instanceof Object ? "value.empty_instance" : "value.empty_object"
       );
     }
     return;
@@ -389,24 +307,199 @@ function isNull(value: any): Throwing {
     typeof value === "bigint"
   ) {
     if (!value && value !== 0) {
-      throw new Error("Value is empty");
+      throw new ValidationError("value.empty");
     }
     return;
   }
 
   // Handle invalid value types
-  throw new Error("Invalid value type");
+  throw new ValidationError("value.invalid_type");
 }
 
+/**
+ * Non-throwing variants of the validators above. Each one takes the same arguments and returns
+ * `{ ok: true, value }` with the validated (first) argument, or `{ ok: false, errors }`.
+ */
+const safeValidateType = safe(validateType);
+const safeValidateEmail = safe(validateEmail);
+const safeValidateUserName = safe(validateUserName);
+const safeValidateURL = safe(validateURL);
+const safeValidateNonEmptyFields = safe(validateNonEmptyFields);
+const safeIsNull = safe(isNull);
+
 export {
+  ValidationError,
+  registerMessages,
+  setLocale,
+  getLocale,
+  formatMessage,
   validateByStructure,
+  validateByStructureAsync,
+  isValidByStructure,
+  assertByStructure,
+  parseByStructure,
+  defineStructure,
+  optional,
+  nullable,
+  withDefault,
+  withUnknownKeys,
+  strict,
+  arrayOf,
+  tuple,
+  refine,
+  rule,
+  registerRule,
+  unregisterRule,
+  transform,
+  coerce,
+  literal,
+  oneOf,
+  union,
+  record,
+  lazy,
+  schema,
+  Schema,
+  StringSchema,
+  NumberSchema,
+  ArraySchema,
+  ObjectSchema,
+  trim,
+  collapseWhitespace,
+  normalizeNFC,
+  normalizeNFKC,
+  toLowerCase,
+  toUpperCase,
+  stripControlCharacters,
+  stripZeroWidth,
+  emptyToUndefined,
+  toNumber,
+  toBoolean,
+  toArray,
+  pipe,
+  validateRequest,
+  requestErrorBody,
+  expressValidator,
+  koaValidator,
+  fastifyValidator,
+  fromJSONSchema,
+  toJSONSchema,
+  compile,
   isSqlInjection,
+  detectSqlInjection,
+  validateIdentifier,
+  quoteIdentifier,
+  identifier,
+  sql,
+  createSqlTag,
+  SqlQuery,
   validateType,
   validateEmail,
+  normalizeEmail,
+  isDisposableEmail,
+  DomainList,
+  disposableDomains,
   validatePassword,
+  checkPassword,
+  defaultPasswordPolicy,
+  scorePassword,
+  isCommonPassword,
+  commonPasswords,
   validateUserName,
+  normalizeUserName,
+  reservedUserNames,
+  skeleton,
+  areConfusable,
+  getScripts,
+  isMixedScript,
   isJsScript,
+  encodeHTML,
+  encodeHTMLAttribute,
+  encodeJSString,
+  encodeCSSString,
+  encodeURLComponent,
+  sanitizeHTML,
+  sanitizeProfiles,
   validateURL,
+  parseURL,
+  isPrivateIP,
   validateNonEmptyFields,
   isNull,
+  safe,
+  safeValidateByStructure,
+  safeValidateType,
+  safeValidateEmail,
+  safeValidateUserName,
+  safeValidatePassword,
+  safeValidateURL,
+  safeValidateNonEmptyFields,
+  safeIsNull,
 };
+export type { SafeResult } from "./safe";
+export type { CompiledValidator } from "./compile";
+export type { RuleContext, RuleCheck, RuleDefinition } from "./rules";
+export type { Transform } from "./transform";
+export type {
+  RequestPart,
+  RequestStructures,
+  ValidatedRequest,
+  RequestErrorBody,
+  RequestValidationOptions,
+} from "./middleware";
+export type {
+  JSONSchema,
+  JSONSchemaType,
+  FromJSONSchemaOptions,
+} from "./json-schema";
+export type {
+  PasswordPolicy,
+  PasswordRuleResult,
+  PasswordReport,
+} from "./password";
+export type { EmailOptions, EmailDomainPolicy } from "./email";
+export type { UserNameOptions, ReservedUserNames } from "./username";
+export type { DomainListOptions } from "./domains";
+export type { URLOptions } from "./url";
+export type { SanitizeProfile, SanitizeOptions } from "./sanitize";
+export type {
+  SqlInjectionPattern,
+  SqlInjectionSeverity,
+  SqlInjectionMatch,
+  SqlInjectionReport,
+  SqlDialect,
+  IdentifierOptions,
+  SqlTag,
+} from "./sql";
+export type {
+  PasswordBlocklist,
+  ScorePasswordOptions,
+  PasswordPattern,
+  PasswordPatternType,
+  PasswordFeedback,
+  PasswordStrength,
+} from "./strength";
+export type { ValidationErrorOptions } from "./errors";
+export type { MessageCatalog, MessageTemplate } from "./messages";
+export type {
+  Infer,
+  InferInput,
+  StructureTypeName,
+  Structure,
+  StructureModifier,
+  UnknownKeysMode,
+  ArrayStructure,
+  ArrayConstraints,
+  TupleConstraints,
+  Refinement,
+  RefinedStructure,
+  TransformedStructure,
+  LiteralStructure,
+  UnionStructure,
+  RecordStructure,
+  StructureLike,
+  LazyStructure,
+  StructureIssue,
+  StructureIssueCode,
+  StructureValidationResult,
+  ValidateOptions,
+  AsyncValidateOptions,
+} from "./structure";
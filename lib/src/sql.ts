@@ -0,0 +1,573 @@
+import { ValidationError } from "./errors";
+
+/**
+ * The kinds of injection `detectSqlInjection` recognizes.
+ *
+ * - `tautology` - A constant condition after a logical operator, like `OR 1=1`, `' OR 'a'='a` or `AND 1=2`.
+ * - `stacked_query` - A second statement after `;`, like `; DROP TABLE users`.
+ * - `comment` - A comment that cuts off the rest of the query, like `admin'--`, or that stands in for a space
+ *   between keywords to get past filters.
+ * - `union` - `UNION [ALL] SELECT`, used to read other tables.
+ * - `time_delay` - Time-based blind injection: `SLEEP(`, `PG_SLEEP(`, `BENCHMARK(`, `WAITFOR DELAY`.
+ * - `statement` - Statements and subqueries like `DROP TABLE`, `INSERT INTO`, `DELETE FROM` or `(SELECT`.
+ * - `system_access` - File and command access: `xp_cmdshell`, `LOAD_FILE(`, `INTO OUTFILE`, `information_schema`.
+ * - `quote_breakout` - A quote that ends a string literal, directly followed by SQL, like `x' OR`.
+ */
+type SqlInjectionPattern =
+  | "tautology"
+  | "stacked_query"
+  | "comment"
+  | "union"
+  | "time_delay"
+  | "statement"
+  | "system_access"
+  | "quote_breakout";
+
+type SqlInjectionSeverity = "low" | "medium" | "high";
+
+/**
+ * One finding of `detectSqlInjection`: what matched, where, and how bad it is.
+ * `index` and `length` locate `text` in the input.
+ */
+interface SqlInjectionMatch {
+  pattern: SqlInjectionPattern;
+  severity: SqlInjectionSeverity;
+  index: number;
+  length: number;
+  text: string;
+}
+
+/**
+ * The result of `detectSqlInjection`.
+ *
+ * - `suspicious` - Whether anything matched.
+ * - `severity` - The highest severity of the matches, or `"none"`.
+ * - `matches` - The findings, in input order.
+ */
+interface SqlInjectionReport {
+  suspicious: boolean;
+  severity: SqlInjectionSeverity | "none";
+  matches: SqlInjectionMatch[];
+}
+
+interface SqlToken {
+  type:
+    | "breakout"
+    | "string"
+    | "identifier"
+    | "number"
+    | "word"
+    | "operator"
+    | "punctuation"
+    | "comment";
+  text: string;
+  index: number;
+}
+
+const severities: { [pattern in SqlInjectionPattern]: SqlInjectionSeverity } = {
+  tautology: "high",
+  stacked_query: "high",
+  comment: "medium",
+  union: "high",
+  time_delay: "high",
+  statement: "medium",
+  system_access: "high",
+  quote_breakout: "low",
+};
+
+const statementKeywords = new Set([
+  "SELECT",
+  "INSERT",
+  "UPDATE",
+  "DELETE",
+  "DROP",
+  "CREATE",
+  "ALTER",
+  "TRUNCATE",
+  "REPLACE",
+  "MERGE",
+  "EXEC",
+  "EXECUTE",
+  "CALL",
+  "DECLARE",
+  "GRANT",
+  "REVOKE",
+  "SHUTDOWN",
+  "WAITFOR",
+  "SET",
+  "SHOW",
+  "USE",
+]);
+
+const clauseKeywords = new Set([
+  ...statementKeywords,
+  "OR",
+  "AND",
+  "XOR",
+  "NOT",
+  "UNION",
+  "WHERE",
+  "HAVING",
+  "ORDER",
+  "GROUP",
+  "LIMIT",
+  "OFFSET",
+  "FROM",
+  "INTO",
+  "LIKE",
+]);
+
+const comparisonOperators = new Set([
+  "=",
+  "==",
+  "<=>",
+  "!=",
+  "<>",
+  "<",
+  ">",
+  "<=",
+  ">=",
+  "LIKE",
+  "IS",
+]);
+
+const statementObjects = new Set([
+  "TABLE",
+  "DATABASE",
+  "SCHEMA",
+  "VIEW",
+  "INDEX",
+  "PROCEDURE",
+  "FUNCTION",
+  "USER",
+]);
+
+const tokenPatterns: [SqlToken["type"], RegExp][] = [
+  ["comment", /(--|#)[^\r\n]*|\/\*[\s\S]*?(\*\/|$)/y],
+  ["string", /'(''|\\[\s\S]|[^'\\])*('|$)|"(""|\\[\s\S]|[^"\\])*("|$)/y],
+  ["identifier", /`(``|[^`])*(`|$)/y],
+  ["number", /0x[0-9a-f]+|\d+(\.\d+)?(e[+-]?\d+)?/iy],
+  ["word", /[a-z_@$\u0080-\uffff][\w@$\u0080-\uffff]*/iy],
+  ["operator", /<=>|<>|!=|<=|>=|==|\|\||&&|[=<>+\-*/%!&|^~]/y],
+];
+
+/**
+ * Splits input into SQL tokens, optionally as if it were written inside a string literal.
+ *
+ * @param input - The untrusted input.
+ * @param quote - The quote of the string literal the input is placed in, if any.
+ * @returns The tokens without whitespace, or undefined if the input never leaves the string literal.
+ */
+function tokenize(input: string, quote?: string): SqlToken[] | undefined {
+  const tokens: SqlToken[] = [];
+  let index = 0;
+  if (quote) {
+    const literal = new RegExp(
+      `(${quote}${quote}|\\\\[\\s\\S]|[^${quote}\\\\])*${quote}`,
+      "y"
+    );
+    const match = literal.exec(input);
+    if (!match) return undefined;
+    tokens.push({ type: "breakout", text: match[0], index: 0 });
+    index = match[0].length;
+  }
+
+  while (index < input.length) {
+    if (/\s/.test(input[index])) {
+      index++;
+      continue;
+    }
+    let token: SqlToken = { type: "punctuation", text: input[index], index };
+    for (const [type, pattern] of tokenPatterns) {
+      pattern.lastIndex = index;
+      const match = pattern.exec(input);
+      if (match && match[0]) {
+        token = { type, text: match[0], index };
+        break;
+      }
+    }
+    tokens.push(token);
+    index += token.text.length;
+  }
+  return tokens;
+}
+
+const upper = (token: SqlToken | undefined): string =>
+  token && token.type === "word" ? token.text.toUpperCase() : "";
+
+const isConstant = (token: SqlToken | undefined): boolean =>
+  !!token &&
+  (token.type === "number" ||
+    token.type === "string" ||
+    ["TRUE", "FALSE", "NULL"].includes(upper(token)));
+
+/**
+ * Looks for injection patterns in a token list.
+ *
+ * @param tokens - The tokens of the input.
+ * @param input - The input, to cut out the matched text.
+ * @returns The matches.
+ */
+function findPatterns(tokens: SqlToken[], input: string): SqlInjectionMatch[] {
+  const matches: SqlInjectionMatch[] = [];
+  const code = tokens.filter((token) => token.type !== "comment");
+  const brokeOut = code.length > 0 && code[0].type === "breakout";
+
+  const add = (pattern: SqlInjectionPattern, from: SqlToken, to: SqlToken) => {
+    const index = from.index;
+    const length = to.index + to.text.length - index;
+    matches.push({
+      pattern,
+      severity: severities[pattern],
+      index,
+      length,
+      text: input.slice(index, index + length),
+    });
+  };
+
+  tokens.forEach((token, position) => {
+    if (token.type !== "comment") return;
+    const previous = tokens[position - 1];
+    const next = tokens[position + 1];
+    const sqlBefore =
+      !!previous &&
+      (previous.type === "breakout" ||
+        previous.type === "operator" ||
+        [")", ";"].includes(previous.text) ||
+        clauseKeywords.has(upper(previous)) ||
+        (brokeOut && isConstant(previous)));
+    // "UNION/**/SELECT": a block comment glued to words on both sides stands in for a space
+    const glued =
+      token.text.startsWith("/*") &&
+      !!previous &&
+      !!next &&
+      previous.index + previous.text.length === token.index &&
+      token.index + token.text.length === next.index &&
+      /\w$/.test(previous.text) &&
+      /^\w/.test(next.text);
+    if (sqlBefore || glued) add("comment", token, token);
+  });
+
+  code.forEach((token, position) => {
+    const at = (offset: number) => code[position + offset];
+    const word = upper(token);
+
+    if (token.type === "breakout") {
+      const next = at(1);
+      if (
+        next &&
+        (clauseKeywords.has(upper(next)) ||
+          next.type === "operator" ||
+          [")", ";"].includes(next.text))
+      ) {
+        const quote = token.index + token.text.length - 1;
+        add(
+          "quote_breakout",
+          { ...token, index: quote, text: input[quote] },
+          next
+        );
+      }
+      return;
+    }
+
+    if (
+      ["OR", "AND", "XOR"].includes(word) ||
+      ["||", "&&"].includes(token.text)
+    ) {
+      const [left, operator, right] = [at(1), at(2), at(3)];
+      const comparison =
+        !!operator &&
+        comparisonOperators.has(operator.text.toUpperCase()) &&
+        ((isConstant(left) && isConstant(right)) ||
+          (!!left &&
+            left.type === "word" &&
+            !!right &&
+            left.text.toLowerCase() === right.text.toLowerCase()));
+      if (comparison) {
+        add("tautology", token, right);
+      } else if (
+        brokeOut &&
+        isConstant(left) &&
+        (!operator || operator.text === ";")
+      ) {
+        // "' OR 1--": the rest of the query is commented out or missing
+        add("tautology", token, left);
+      }
+      return;
+    }
+
+    // After a plain word, ";" is more likely punctuation: "black; select the best"
+    const previous = at(-1);
+    if (
+      token.text === ";" &&
+      statementKeywords.has(upper(at(1))) &&
+      (!previous || previous.type !== "word" || isConstant(previous))
+    ) {
+      add("stacked_query", token, at(1));
+    } else if (word === "UNION") {
+      const select = ["ALL", "DISTINCT"].includes(upper(at(1))) ? 2 : 1;
+      if (upper(at(select)) === "SELECT") add("union", token, at(select));
+    } else if (
+      ["SLEEP", "PG_SLEEP", "BENCHMARK"].includes(word) &&
+      at(1) &&
+      at(1).text === "("
+    ) {
+      add("time_delay", token, at(1));
+    } else if (word === "WAITFOR" && ["DELAY", "TIME"].includes(upper(at(1)))) {
+      add("time_delay", token, at(1));
+    } else if (
+      (word === "DROP" && statementObjects.has(upper(at(1)))) ||
+      (["TRUNCATE", "ALTER"].includes(word) && upper(at(1)) === "TABLE") ||
+      (word === "INSERT" && upper(at(1)) === "INTO") ||
+      (word === "DELETE" && upper(at(1)) === "FROM") ||
+      (token.text === "(" && upper(at(1)) === "SELECT")
+    ) {
+      add("statement", token, at(1));
+    } else if (word === "UPDATE" && at(1) && upper(at(2)) === "SET") {
+      add("statement", token, at(2));
+    } else if (
+      ["XP_CMDSHELL", "INFORMATION_SCHEMA", "SP_EXECUTESQL"].includes(word)
+    ) {
+      add("system_access", token, token);
+    } else if (word === "LOAD_FILE" && at(1) && at(1).text === "(") {
+      add("system_access", token, at(1));
+    } else if (
+      word === "INTO" &&
+      ["OUTFILE", "DUMPFILE"].includes(upper(at(1)))
+    ) {
+      add("system_access", token, at(1));
+    }
+  });
+
+  return matches;
+}
+
+const severityOrder = ["none", "low", "medium", "high"];
+
+/**
+ * Detects SQL injection attempts and reports them, without changing the input.
+ * The input is tokenized like SQL three times: as written (for numeric parameters), and as if placed
+ * inside a `'` or `"` string literal, so payloads that close the literal first are found too.
+ * Single words like "and", "or", "in" or "like", and names like "Anderson" or "O'Brien", don't match.
+ *
+ * Detection is a second line of defense for logging and flagging: always pass values to queries
+ * as parameters.
+ *
+ * @example
+ * detectSqlInjection("admin' OR '1'='1");
+ * // { suspicious: true, severity: "high", matches: [{ pattern: "quote_breakout", ... }, { pattern: "tautology", ... }] }
+ *
+ * @param input - The untrusted input.
+ * @returns The report.
+ */
+function detectSqlInjection(input: string): SqlInjectionReport {
+  const text = String(input ?? "");
+  const found = new Map<string, SqlInjectionMatch>();
+  [undefined, "'", '"'].forEach((quote) => {
+    const tokens = tokenize(text, quote);
+    if (!tokens) return;
+    findPatterns(tokens, text).forEach((match) => {
+      found.set(`${match.pattern}:${match.index}:${match.length}`, match);
+    });
+  });
+
+  const matches = [...found.values()].sort(
+    (a, b) => a.index - b.index || b.length - a.length
+  );
+  const severity = matches.reduce<SqlInjectionReport["severity"]>(
+    (highest, match) =>
+      severityOrder.indexOf(match.severity) > severityOrder.indexOf(highest)
+        ? match.severity
+        : highest,
+    "none"
+  );
+  return { suspicious: matches.length > 0, severity, matches };
+}
+
+type SqlDialect = "postgres" | "mysql" | "sqlite";
+
+/**
+ * Options for `validateIdentifier`, `quoteIdentifier` and `identifier`.
+ *
+ * - `dialect` - `"postgres"` (default), `"mysql"` or `"sqlite"`; sets the quote character and the length limit.
+ * - `allowed` - The only names accepted, e.g. the sortable columns. Compared exactly, qualified names included.
+ * - `qualified` - Accept dotted names like `public.users` (default false).
+ */
+interface IdentifierOptions {
+  dialect?: SqlDialect;
+  allowed?: string[];
+  qualified?: boolean;
+}
+
+const identifierRegex = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Identifier length limits: PostgreSQL truncates names past 63 bytes, MySQL rejects them past 64.
+ * SQLite has no limit.
+ */
+const maxIdentifierLengths: { [dialect in SqlDialect]?: number } = {
+  postgres: 63,
+  mysql: 64,
+};
+
+/**
+ * Validates a table or column name, e.g. a sort field from a query string.
+ * Only letters, digits and underscores are accepted, not starting with a digit, so the name
+ * means the same in every dialect, quoted or not.
+ *
+ * @param name - The identifier.
+ * @param options - Dialect, allowlist and qualified names.
+ * @throws ValidationError if the name is invalid, too long or not in `allowed`.
+ */
+function validateIdentifier(
+  name: string,
+  options: IdentifierOptions = {}
+): void {
+  const { dialect = "postgres", allowed, qualified = false } = options;
+  const parts = typeof name === "string" ? name.split(".") : [];
+  if (
+    !parts.length ||
+    (!qualified && parts.length > 1) ||
+    !parts.every((part) => identifierRegex.test(part))
+  ) {
+    throw new ValidationError("sql.invalid_identifier");
+  }
+  if (allowed && !allowed.includes(name)) {
+    throw new ValidationError("sql.identifier_not_allowed", { allowed });
+  }
+  const max = maxIdentifierLengths[dialect];
+  if (max && parts.some((part) => part.length > max)) {
+    throw new ValidationError("sql.identifier_too_long", { max });
+  }
+}
+
+const quoteParts = (parts: string[], dialect: SqlDialect): string =>
+  parts
+    .map((part) =>
+      dialect === "mysql"
+        ? `\`${part.replace(/`/g, "``")}\``
+        : `"${part.replace(/"/g, '""')}"`
+    )
+    .join(".");
+
+/**
+ * Validates an identifier and quotes it for the dialect: `"name"` for PostgreSQL and SQLite,
+ * `` `name` `` for MySQL. Quoting keeps names like `order` or `user` from being read as keywords.
+ *
+ * @example
+ * quoteIdentifier(req.query.sort, { allowed: ["name", "created_at"] }); // '"created_at"'
+ *
+ * @param name - The identifier.
+ * @param options - Dialect, allowlist and qualified names.
+ * @returns The quoted identifier.
+ * @throws ValidationError if the name is invalid, too long or not in `allowed`.
+ */
+function quoteIdentifier(
+  name: string,
+  options: IdentifierOptions = {}
+): string {
+  validateIdentifier(name, options);
+  return quoteParts(name.split("."), options.dialect || "postgres");
+}
+
+type SqlChunk = string | { value: unknown } | { identifier: string[] };
+
+/**
+ * A parameterized query built by the `sql` tag: the query `text` with placeholders, and the `values`
+ * to pass with it. `pg` takes the object as is; other drivers take `text` and `values` as arguments.
+ * Queries can be nested in other queries as fragments.
+ */
+class SqlQuery {
+  readonly text: string;
+  readonly values: unknown[];
+  /** The parts of the query, kept to nest it in other queries. */
+  readonly chunks: SqlChunk[];
+
+  constructor(chunks: SqlChunk[], dialect: SqlDialect) {
+    this.chunks = chunks;
+    this.values = [];
+    let text = "";
+    chunks.forEach((chunk) => {
+      if (typeof chunk === "string") {
+        text += chunk;
+      } else if ("identifier" in chunk) {
+        text += quoteParts(chunk.identifier, dialect);
+      } else {
+        this.values.push(chunk.value);
+        text += dialect === "postgres" ? `$${this.values.length}` : "?";
+      }
+    });
+    this.text = text;
+  }
+}
+
+type SqlTag = (strings: TemplateStringsArray, ...values: unknown[]) => SqlQuery;
+
+/**
+ * Creates a `sql` template tag for a dialect: `$1, $2, ...` placeholders for PostgreSQL, `?` for MySQL and SQLite.
+ *
+ * @param dialect - The dialect (default `"postgres"`).
+ * @returns The tag.
+ */
+function createSqlTag(dialect: SqlDialect = "postgres"): SqlTag {
+  return (strings, ...values) => {
+    const chunks: SqlChunk[] = [];
+    strings.forEach((string, index) => {
+      chunks.push(string);
+      if (index === values.length) return;
+      const value = values[index];
+      if (value instanceof SqlQuery) chunks.push(...value.chunks);
+      else chunks.push({ value });
+    });
+    return new SqlQuery(chunks, dialect);
+  };
+}
+
+/**
+ * Builds a parameterized PostgreSQL query from a template: every interpolated value becomes a parameter,
+ * never part of the SQL text. `sql` fragments and `identifier`s are inlined instead.
+ * Use `createSqlTag("mysql")` or `createSqlTag("sqlite")` for `?` placeholders.
+ *
+ * @example
+ * sql`SELECT * FROM users WHERE email = ${email} AND age > ${age}`;
+ * // { text: "SELECT * FROM users WHERE email = $1 AND age > $2", values: [email, age] }
+ */
+const sql: SqlTag = createSqlTag("postgres");
+
+/**
+ * Validates an identifier for use in a `sql` template, where it is quoted for the tag's dialect.
+ *
+ * @example
+ * sql`SELECT * FROM users ORDER BY ${identifier(sort, { allowed: ["name", "created_at"] })}`;
+ *
+ * @param name - The identifier.
+ * @param options - Dialect, allowlist and qualified names.
+ * @returns A query fragment.
+ * @throws ValidationError if the name is invalid, too long or not in `allowed`.
+ */
+function identifier(name: string, options: IdentifierOptions = {}): SqlQuery {
+  validateIdentifier(name, options);
+  return new SqlQuery(
+    [{ identifier: name.split(".") }],
+    options.dialect || "postgres"
+  );
+}
+
+export {
+  detectSqlInjection,
+  validateIdentifier,
+  quoteIdentifier,
+  identifier,
+  sql,
+  createSqlTag,
+  SqlQuery,
+};
+export type {
+  SqlInjectionPattern,
+  SqlInjectionSeverity,
+  SqlInjectionMatch,
+  SqlInjectionReport,
+  SqlDialect,
+  IdentifierOptions,
+  SqlTag,
+};
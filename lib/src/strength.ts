@@ -0,0 +1,626 @@
+import { formatMessage } from "./errors";
+import { commonPasswordList } from "./common-passwords";
+
+/**
+ * A set of passwords to reject. Anything with a `has` method works, e.g. a `Set`
+ * or a lookup backed by a local breach corpus.
+ */
+interface PasswordBlocklist {
+  has(password: string): boolean;
+}
+
+/**
+ * Options for `scorePassword`.
+ *
+ * - `blocklist` - Passwords scored 0 outright (default: the bundled `commonPasswords`).
+ * - `userInputs` - Words the user is known by, e.g. their username, name or email, treated as easy guesses.
+ */
+interface ScorePasswordOptions {
+  blocklist?: PasswordBlocklist;
+  userInputs?: string[];
+}
+
+type PasswordPatternType =
+  | "common"
+  | "dictionary"
+  | "user_input"
+  | "keyboard"
+  | "sequence"
+  | "repeat"
+  | "date";
+
+/**
+ * A guessable part of a password. `start` and `end` are character indexes, `end` exclusive.
+ */
+interface PasswordPattern {
+  type: PasswordPatternType;
+  token: string;
+  start: number;
+  end: number;
+  entropy: number;
+  leet?: boolean;
+}
+
+/**
+ * A human-readable hint on how to improve a password.
+ */
+interface PasswordFeedback {
+  code: string;
+  message: string;
+}
+
+/**
+ * Result of `scorePassword`.
+ *
+ * - `score` - 0 (trivial to guess) to 4 (very hard to guess).
+ * - `entropy` - Estimated bits of entropy, taking the patterns found into account.
+ * - `patterns` - The guessable parts the estimate is based on.
+ * - `feedback` - Hints on what makes the password weak.
+ */
+interface PasswordStrength {
+  score: 0 | 1 | 2 | 3 | 4;
+  entropy: number;
+  patterns: PasswordPattern[];
+  feedback: PasswordFeedback[];
+}
+
+/**
+ * The bundled list of common passwords, lowercased.
+ */
+const commonPasswords: ReadonlySet<string> = new Set(commonPasswordList);
+
+const ranks = new Map(
+  commonPasswordList.map((word, index): [string, number] => [word, index + 1])
+);
+const longestCommonPassword = Math.max(
+  ...commonPasswordList.map((word) => word.length)
+);
+
+/**
+ * Analysis stops after this many characters; the rest is counted as random characters.
+ */
+const MAX_ANALYZED_LENGTH = 128;
+
+/**
+ * Entropy thresholds, in bits, of scores 1 to 4.
+ */
+const SCORE_THRESHOLDS = [10, 20, 30, 40];
+
+const leetSubstitutions: { [character: string]: string[] } = {
+  "4": ["a"],
+  "@": ["a"],
+  "8": ["b"],
+  "(": ["c"],
+  "3": ["e"],
+  "6": ["g"],
+  "9": ["g"],
+  "1": ["i", "l"],
+  "!": ["i"],
+  "|": ["i", "l"],
+  "0": ["o"],
+  $: ["s"],
+  "5": ["s"],
+  "7": ["t"],
+  "+": ["t"],
+  "2": ["z"],
+};
+
+const keyboardRows = [
+  ["`1234567890-=", "~!@#$%^&*()_+"],
+  ["qwertyuiop[]\\", "QWERTYUIOP{}|"],
+  ["asdfghjkl;'", 'ASDFGHJKL:"'],
+  ["zxcvbnm,./", "ZXCVBNM<>?"],
+];
+
+const keyPositions = new Map<string, [number, number]>();
+keyboardRows.forEach((layers, row) =>
+  layers.forEach((keys) =>
+    Array.from(keys).forEach((key, column) =>
+      keyPositions.set(key, [row, column])
+    )
+  )
+);
+
+/**
+ * Returns the direction from one key to an adjacent key on a QWERTY keyboard, or -1 if they are not adjacent.
+ * Rows are staggered: the top row is shifted half a key further than the others.
+ *
+ * @param from - The first key.
+ * @param to - The next key.
+ * @returns 0-5 for left, right, up-left, up-right, down-left and down-right.
+ */
+function keyDirection(from: string, to: string): number {
+  const a = keyPositions.get(from);
+  const b = keyPositions.get(to);
+  if (!a || !b) return -1;
+  const [row, column] = a;
+  const shift = (upper: number) => (upper === 0 ? 1 : 0);
+  if (b[0] === row) {
+    if (b[1] === column - 1) return 0;
+    if (b[1] === column + 1) return 1;
+  }
+  if (b[0] === row - 1) {
+    const offset = b[1] - column - shift(row - 1);
+    if (offset === 0) return 2;
+    if (offset === 1) return 3;
+  }
+  if (b[0] === row + 1) {
+    const offset = column - shift(row) - b[1];
+    if (offset === 1) return 4;
+    if (offset === 0) return 5;
+  }
+  return -1;
+}
+
+/**
+ * Returns the number of characters a brute-force attack on the password has to try per position.
+ *
+ * @param characters - The characters of the password.
+ * @returns The size of the character set.
+ */
+function charsetSize(characters: string[]): number {
+  const classes: [RegExp, number][] = [
+    [/[a-z]/, 26],
+    [/[A-Z]/, 26],
+    [/[0-9]/, 10],
+    [/[\x20-\x2f\x3a-\x40\x5b-\x60\x7b-\x7e]/, 33],
+    [/[^\x20-\x7e]/, 100],
+  ];
+  const size = classes.reduce(
+    (total, [pattern, count]) =>
+      characters.some((character) => pattern.test(character))
+        ? total + count
+        : total,
+    0
+  );
+  return Math.max(size, 10);
+}
+
+/**
+ * Returns the variants of a lowercased token with l33t substitutions undone.
+ * Ambiguous substitutions (`1` for `i` or `l`) give one variant each.
+ *
+ * @param token - The lowercased token.
+ * @returns The variants that differ from the token.
+ */
+function unleet(token: string): string[] {
+  const characters = Array.from(token);
+  if (!characters.some((character) => character in leetSubstitutions)) {
+    return [];
+  }
+  const variants = [0, 1].map((choice) =>
+    characters
+      .map((character) => {
+        const options = leetSubstitutions[character];
+        return options
+          ? options[Math.min(choice, options.length - 1)]
+          : character;
+      })
+      .join("")
+  );
+  return variants.filter(
+    (variant, index) => variant !== token && variants.indexOf(variant) === index
+  );
+}
+
+/**
+ * Returns the extra bits needed to guess the capitalization of a dictionary word.
+ *
+ * @param token - The word as typed.
+ * @returns 0 for all lowercase, 1 for a capitalized or all uppercase word, else one bit per uppercase letter.
+ */
+function capitalizationEntropy(token: string): number {
+  if (token === token.toLowerCase()) return 0;
+  if (/^[A-Z][^A-Z]*$/.test(token) || token === token.toUpperCase()) return 1;
+  return Array.from(token).filter((character) => /[A-Z]/.test(character))
+    .length;
+}
+
+/**
+ * Finds words from the bundled list and the user inputs, also with l33t substitutions undone.
+ *
+ * @param characters - The characters of the password.
+ * @param userInputs - The lowercased words the user is known by.
+ * @returns The matches.
+ */
+function dictionaryMatches(
+  characters: string[],
+  userInputs: Map<string, number>
+): PasswordPattern[] {
+  const matches: PasswordPattern[] = [];
+  const longest = Math.max(
+    longestCommonPassword,
+    ...Array.from(userInputs.keys(), (word) => word.length)
+  );
+  for (let start = 0; start < characters.length; start++) {
+    const last = Math.min(start + longest, characters.length);
+    for (let end = start + 3; end <= last; end++) {
+      const token = characters.slice(start, end).join("");
+      const lowered = token.toLowerCase();
+      [lowered, ...unleet(lowered)].forEach((word) => {
+        const leet = word !== lowered;
+        const userRank = userInputs.get(word);
+        const rank = userRank || ranks.get(word);
+        if (rank === undefined || (!userRank && word.length < 4)) return;
+        matches.push({
+          type: userRank ? "user_input" : "dictionary",
+          token,
+          start,
+          end,
+          entropy:
+            Math.log2(rank) +
+            capitalizationEntropy(token) +
+            (leet ? unleetedCount(lowered, word) : 0),
+          leet,
+        });
+      });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Counts the characters a l33t variant changed.
+ *
+ * @param token - The token as typed, lowercased.
+ * @param word - The variant with substitutions undone.
+ * @returns The number of substituted characters.
+ */
+function unleetedCount(token: string, word: string): number {
+  const typed = Array.from(token);
+  return Array.from(word).filter(
+    (character, index) => character !== typed[index]
+  ).length;
+}
+
+/**
+ * Finds walks along adjacent keys of a QWERTY keyboard, at least 4 keys long.
+ *
+ * @param characters - The characters of the password.
+ * @returns The matches.
+ */
+function keyboardMatches(characters: string[]): PasswordPattern[] {
+  const matches: PasswordPattern[] = [];
+  let start = 0;
+  while (start < characters.length - 1) {
+    let end = start + 1;
+    let turns = 0;
+    let direction = -1;
+    while (end < characters.length) {
+      const next = keyDirection(characters[end - 1], characters[end]);
+      if (next === -1) break;
+      if (direction !== -1 && next !== direction) turns++;
+      direction = next;
+      end++;
+    }
+    if (end - start >= 4) {
+      matches.push({
+        type: "keyboard",
+        token: characters.slice(start, end).join(""),
+        start,
+        end,
+        entropy:
+          Math.log2(keyPositions.size / 2) +
+          turns * Math.log2(6) +
+          Math.log2(end - start),
+      });
+      start = end;
+    } else {
+      start++;
+    }
+  }
+  return matches;
+}
+
+/**
+ * Finds runs of consecutive letters or digits like `abc` or `6543`, at least 3 characters long.
+ *
+ * @param characters - The characters of the password.
+ * @returns The matches.
+ */
+function sequenceMatches(characters: string[]): PasswordPattern[] {
+  const matches: PasswordPattern[] = [];
+  const kind = (character: string) =>
+    /[a-z]/.test(character)
+      ? 26
+      : /[A-Z]/.test(character)
+      ? 26
+      : /\d/.test(character)
+      ? 10
+      : 0;
+  const step = (index: number) =>
+    characters[index].charCodeAt(0) - characters[index - 1].charCodeAt(0);
+
+  let start = 0;
+  while (start < characters.length - 2) {
+    const size = kind(characters[start]);
+    const delta = step(start + 1);
+    let end = start + 1;
+    if (size && Math.abs(delta) === 1) {
+      while (
+        end < characters.length &&
+        kind(characters[end]) === size &&
+        step(end) === delta
+      ) {
+        end++;
+      }
+    }
+    if (end - start >= 3) {
+      const first = characters[start];
+      const obvious = /[aAzZ019]/.test(first);
+      matches.push({
+        type: "sequence",
+        token: characters.slice(start, end).join(""),
+        start,
+        end,
+        entropy:
+          (obvious ? 1 : Math.log2(size)) +
+          Math.log2(end - start) +
+          (delta < 0 ? 1 : 0),
+      });
+      start = end - 1;
+    } else {
+      start++;
+    }
+  }
+  return matches;
+}
+
+/**
+ * Finds repeated characters like `aaa` and repeated chunks like `abcabc`, from every start within a run.
+ * Each chunk size is scanned once for the longest runs that repeat it, so the work stays quadratic
+ * in the length of the password, even for input like a long run of one character.
+ *
+ * @param characters - The characters of the password.
+ * @returns The matches.
+ */
+function repeatMatches(characters: string[]): PasswordPattern[] {
+  const matches: PasswordPattern[] = [];
+  for (let size = 1; size * 2 <= characters.length; size++) {
+    let start = 0;
+    while (start + size < characters.length) {
+      // Extend the run while each character equals the one a chunk earlier
+      let end = start + size;
+      while (
+        end < characters.length &&
+        characters[end] === characters[end - size]
+      ) {
+        end++;
+      }
+      // Chunks starting later in the run are rotations of the first, with the same characters
+      const base =
+        start + size * 2 <= end
+          ? estimate(characters.slice(start, start + size), []).entropy
+          : 0;
+      for (let from = start; from + size * 2 <= end; from++) {
+        const count = Math.floor((end - from) / size);
+        if (size === 1 && count < 3) break;
+        matches.push({
+          type: "repeat",
+          token: characters.slice(from, from + count * size).join(""),
+          start: from,
+          end: from + count * size,
+          entropy: base + Math.log2(count),
+        });
+      }
+      // The next run can start a chunk before this one broke off
+      start = Math.max(start + 1, end - size + 1);
+    }
+  }
+  return matches;
+}
+
+const datePatterns: [RegExp, (match: RegExpMatchArray) => number[]][] = [
+  // day/month/year or month/day/year
+  [
+    /^(\d{1,2})([\s/\\_.-]?)(\d{1,2})\2(\d{4}|\d{2})$/,
+    (m) => [+m[1], +m[3], +m[4]],
+  ],
+  // year/month/day
+  [/^(\d{4})([\s/\\_.-]?)(\d{1,2})\2(\d{1,2})$/, (m) => [+m[3], +m[4], +m[1]]],
+];
+
+/**
+ * Whether a year is one people are likely to put in a password.
+ *
+ * @param year - A two or four digit year.
+ * @returns True for 1900-2050 and any two digit year.
+ */
+const isLikelyYear = (year: number) =>
+  year < 100 || (year >= 1900 && year <= 2050);
+
+/**
+ * Finds years and calendar dates, with or without separators.
+ *
+ * @param characters - The characters of the password.
+ * @returns The matches.
+ */
+function dateMatches(characters: string[]): PasswordPattern[] {
+  const matches: PasswordPattern[] = [];
+  for (let start = 0; start < characters.length; start++) {
+    for (
+      let end = start + 4;
+      end <= Math.min(start + 10, characters.length);
+      end++
+    ) {
+      const token = characters.slice(start, end).join("");
+      if (/^\d{4}$/.test(token) && +token >= 1900 && +token <= 2050) {
+        matches.push({
+          type: "date",
+          token,
+          start,
+          end,
+          entropy: Math.log2(151),
+        });
+        continue;
+      }
+      const found = datePatterns.some(([pattern, parts]) => {
+        const match = token.match(pattern);
+        if (!match) return false;
+        const [first, second, year] = parts(match);
+        const dayMonth = (day: number, month: number) =>
+          day >= 1 && day <= 31 && month >= 1 && month <= 12;
+        return (
+          isLikelyYear(year) &&
+          (dayMonth(first, second) || dayMonth(second, first))
+        );
+      });
+      if (found) {
+        const separated = /\D/.test(token);
+        matches.push({
+          type: "date",
+          token,
+          start,
+          end,
+          entropy: Math.log2(31 * 12 * 151) + (separated ? 2 : 0),
+        });
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * Finds the cheapest way to guess the characters: a sequence of patterns, with random characters in between.
+ *
+ * @param characters - The characters to analyze.
+ * @param patterns - The candidate patterns.
+ * @returns The estimated entropy and the patterns used.
+ */
+function estimate(
+  characters: string[],
+  patterns: PasswordPattern[]
+): { entropy: number; patterns: PasswordPattern[] } {
+  const bitsPerCharacter = Math.log2(charsetSize(characters));
+  const best: { entropy: number; pattern?: PasswordPattern }[] = [
+    { entropy: 0 },
+  ];
+  const byEnd: PasswordPattern[][] = characters.map(() => []);
+  patterns.forEach((pattern) => byEnd[pattern.end - 1].push(pattern));
+  for (let end = 1; end <= characters.length; end++) {
+    best[end] = { entropy: best[end - 1].entropy + bitsPerCharacter };
+    byEnd[end - 1].forEach((pattern) => {
+      // Each extra pattern costs a bit for where it starts
+      const entropy = best[pattern.start].entropy + pattern.entropy + 1;
+      if (entropy < best[end].entropy) best[end] = { entropy, pattern };
+    });
+  }
+
+  const used: PasswordPattern[] = [];
+  for (let end = characters.length; end > 0; ) {
+    const { pattern } = best[end];
+    if (pattern) {
+      used.unshift(pattern);
+      end = pattern.start;
+    } else {
+      end--;
+    }
+  }
+  return { entropy: best[characters.length].entropy, patterns: used };
+}
+
+/**
+ * Whether a password, or the password with l33t substitutions undone, is on a blocklist.
+ *
+ * @param password - The password to check.
+ * @param blocklist - The passwords to reject (default: the bundled `commonPasswords`).
+ * @returns True if the password is blocked.
+ */
+function isCommonPassword(
+  password: string,
+  blocklist: PasswordBlocklist = commonPasswords
+): boolean {
+  const lowered = password.toLowerCase();
+  return [password, lowered, ...unleet(lowered)].some((candidate) =>
+    blocklist.has(candidate)
+  );
+}
+
+const feedbackCodes: { [type in PasswordPatternType]: string } = {
+  common: "strength.common",
+  dictionary: "strength.dictionary",
+  user_input: "strength.user_input",
+  keyboard: "strength.keyboard_walk",
+  sequence: "strength.sequence",
+  repeat: "strength.repeat",
+  date: "strength.date",
+};
+
+/**
+ * Estimates how hard a password is to guess, looking for the patterns people use:
+ * common passwords and words, l33t substitutions, keyboard walks, sequences, repeats and dates.
+ * Complements `validatePassword`: a password can meet every policy rule and still be easy to guess.
+ *
+ * @example
+ * scorePassword("P@ssw0rd1!").score; // 1
+ * scorePassword("correct horse battery staple").score; // 4
+ *
+ * @param password - The password to score.
+ * @param options - The blocklist and user inputs to take into account.
+ * @returns The score, entropy estimate, patterns found and feedback.
+ */
+function scorePassword(
+  password: string,
+  options: ScorePasswordOptions = {}
+): PasswordStrength {
+  const { blocklist = commonPasswords, userInputs = [] } = options;
+  const all = Array.from(password);
+  const characters = all.slice(0, MAX_ANALYZED_LENGTH);
+  const inputs = new Map<string, number>();
+  userInputs.forEach((input) => {
+    const lowered = input.trim().toLowerCase();
+    const at = lowered.lastIndexOf("@");
+    [lowered, at > 0 ? lowered.slice(0, at) : ""]
+      .filter((word) => word.length >= 3)
+      .forEach((word) => inputs.set(word, 2));
+  });
+
+  let result: { entropy: number; patterns: PasswordPattern[] };
+  if (password && isCommonPassword(password, blocklist)) {
+    const token = characters.join("");
+    const pattern: PasswordPattern = {
+      type: "common",
+      token,
+      start: 0,
+      end: characters.length,
+      entropy: 0,
+    };
+    result = { entropy: 0, patterns: [pattern] };
+  } else {
+    result = estimate(characters, [
+      ...dictionaryMatches(characters, inputs),
+      ...keyboardMatches(characters),
+      ...sequenceMatches(characters),
+      ...repeatMatches(characters),
+      ...dateMatches(characters),
+    ]);
+  }
+  const entropy =
+    result.entropy +
+    (all.length - characters.length) * Math.log2(charsetSize(all));
+  const score = SCORE_THRESHOLDS.filter((threshold) => entropy >= threshold)
+    .length as PasswordStrength["score"];
+
+  const codes = result.patterns.map((pattern) => feedbackCodes[pattern.type]);
+  if (result.patterns.some((pattern) => pattern.leet)) {
+    codes.push("strength.leet");
+  }
+  if (score < 3) {
+    codes.push("strength.add_words");
+  }
+  const feedback = codes
+    .filter((code, index) => codes.indexOf(code) === index)
+    .map((code) => ({ code, message: formatMessage(code) }));
+
+  return { score, entropy, patterns: result.patterns, feedback };
+}
+
+export { scorePassword, isCommonPassword, commonPasswords };
+export type {
+  PasswordBlocklist,
+  ScorePasswordOptions,
+  PasswordPattern,
+  PasswordPatternType,
+  PasswordFeedback,
+  PasswordStrength,
+};
@@ -0,0 +1,1624 @@
+import type {
+  DECLARED_TYPE,
+  Infer,
+  InferInput,
+  StructureTypeName,
+  Optional,
+  Nullable,
+  Defaulted,
+  Modified,
+  Refined,
+  Transformed,
+  ArrayOf,
+  TupleOf,
+  LiteralOf,
+  UnionOf,
+  RecordOf,
+} from "./infer";
+import { ValidationError, formatMessage } from "./errors";
+import { toNumber, toBoolean } from "./transform";
+import { getRule } from "./rules";
+import type { Transform } from "./transform";
+
+type Structure =
+  | StructureTypeName
+  | (string & {})
+  | StructureModifier
+  | ArrayStructure
+  | RefinedStructure
+  | TransformedStructure
+  | LiteralStructure
+  | UnionStructure
+  | RecordStructure
+  | LazyStructure
+  | StructureLike
+  | { [key: string]: Structure }
+  | Structure[];
+type Throwing = Error | void;
+
+const MODIFIER = Symbol("basic-input-validation.modifier");
+const ARRAY = Symbol("basic-input-validation.array");
+const REFINED = Symbol("basic-input-validation.refined");
+const TRANSFORMED = Symbol("basic-input-validation.transformed");
+const LITERAL = Symbol("basic-input-validation.literal");
+const UNION = Symbol("basic-input-validation.union");
+const RECORD = Symbol("basic-input-validation.record");
+const STRUCTURE = Symbol("basic-input-validation.structure");
+const LAZY = Symbol("basic-input-validation.lazy");
+
+/**
+ * How an object structure treats keys it does not declare.
+ *
+ * - `"allow"` - Unknown keys pass through and are kept in the returned copy (default).
+ * - `"strip"` - Unknown keys pass but are removed from the returned copy.
+ * - `"reject"` - Unknown keys are reported as `unrecognized_key` issues.
+ */
+type UnknownKeysMode = "allow" | "strip" | "reject";
+
+/**
+ * Wraps a structure to mark it as optional, nullable and/or default-valued,
+ * or to set how its object treats unknown keys.
+ * Created with `optional`, `nullable`, `withDefault`, `withUnknownKeys` and `strict`,
+ * which can be nested in any order.
+ */
+interface StructureModifier {
+  readonly [MODIFIER]: true;
+  structure: Structure;
+  optional: boolean;
+  nullable: boolean;
+  hasDefault: boolean;
+  defaultValue?: any;
+  unknownKeys?: UnknownKeysMode;
+}
+
+/**
+ * Length and uniqueness constraints for array structures.
+ *
+ * - `minLength` / `maxLength` - Bounds on the number of items.
+ * - `unique` - Reject duplicate items; pass a function to compare items by a derived key.
+ */
+interface ArrayConstraints {
+  minLength?: number;
+  maxLength?: number;
+  unique?: boolean | ((item: any) => any);
+}
+
+/**
+ * Tuple constraints: array constraints plus the structure of items past the declared positions.
+ * Without `rest`, a tuple must have exactly as many items as positions.
+ */
+interface TupleConstraints extends ArrayConstraints {
+  rest?: Structure;
+}
+
+/**
+ * An array structure created with `arrayOf` (homogeneous list) or `tuple` (positional items).
+ */
+interface ArrayStructure extends TupleConstraints {
+  readonly [ARRAY]: true;
+  items: Structure[];
+  tuple: boolean;
+}
+
+/**
+ * A custom check run on a value once it matches its structure.
+ * `check` fails when it returns `false` or an Error, or throws. A `ValidationError` keeps its code and params,
+ * any other Error its message, so throwing validators such as `validateEmail` can be used directly.
+ * Without a fixed `message`, the message is rendered from the catalog entry of `code` with `params`.
+ * A check that returns a promise is async, and only runs in `validateByStructureAsync`.
+ * Refinements created with `rule` name a registered rule in `rule`, which runs instead of `check`.
+ */
+interface Refinement {
+  check: (value: any) => RefinementResult | PromiseLike<RefinementResult>;
+  code?: StructureIssueCode | (string & {});
+  expected?: string;
+  message?: string;
+  params?: { [key: string]: any };
+  rule?: string;
+}
+
+type RefinementResult = boolean | Error | void;
+
+/**
+ * A structure with custom checks, created with `refine`.
+ */
+interface RefinedStructure {
+  readonly [REFINED]: true;
+  structure: Structure;
+  refinements: Refinement[];
+}
+
+/**
+ * A structure whose input is cleaned up or converted before it is validated, created with `transform` or `coerce`.
+ */
+interface TransformedStructure {
+  readonly [TRANSFORMED]: true;
+  structure: Structure;
+  transforms: Transform[];
+}
+
+/**
+ * A structure matching one of a fixed set of values, created with `literal` or `oneOf`.
+ */
+interface LiteralStructure {
+  readonly [LITERAL]: true;
+  values: any[];
+}
+
+/**
+ * A structure matching the first of several structures that fits, created with `union`.
+ */
+interface UnionStructure {
+  readonly [UNION]: true;
+  options: Structure[];
+}
+
+/**
+ * An object with arbitrary keys whose values share one structure, created with `record`.
+ */
+interface RecordStructure {
+  readonly [RECORD]: true;
+  values: Structure;
+  keys?: Structure;
+}
+
+/**
+ * Any object that stands for a structure, such as a schema built with `schema`.
+ */
+interface StructureLike {
+  readonly [STRUCTURE]: Structure;
+}
+
+/**
+ * A reference to a structure that is resolved when it is validated, created with `lazy`,
+ * so a structure can refer to itself. `T` is the validated type, which can't be inferred for recursive types.
+ */
+interface LazyStructure<T = unknown> extends StructureLike {
+  readonly [LAZY]: true;
+  readonly name?: string;
+  readonly [DECLARED_TYPE]?: T;
+}
+
+/**
+ * Machine-readable reason a value did not match its structure.
+ */
+type StructureIssueCode =
+  | "invalid_type"
+  | "missing_key"
+  | "unrecognized_key"
+  | "too_small"
+  | "too_big"
+  | "not_unique"
+  | "invalid_string"
+  | "not_integer"
+  | "invalid_literal"
+  | "invalid_union"
+  | "custom"
+  | "unknown_structure"
+  | "cyclic_value"
+  | "async_check"
+  | "timeout";
+
+/**
+ * A single mismatch found while walking a structure.
+ */
+interface StructureIssue {
+  code: StructureIssueCode | (string & {});
+  path: string;
+  expected: string;
+  received: string;
+  message: string;
+  params: { [key: string]: any };
+}
+
+/**
+ * Aggregate result returned by `validateByStructure` in "all errors" mode.
+ * `value` only has type `T` when `valid` is true.
+ */
+interface StructureValidationResult<T = any> {
+  valid: boolean;
+  issues: StructureIssue[];
+  value: T;
+}
+
+/**
+ * Per-call options for `validateByStructure`.
+ *
+ * - `allErrors` - Walk the whole structure and return every issue instead of the first Error.
+ * - `path` - The path prefix used for error reporting (default `""`).
+ * - `unknownKeys` - How objects treat undeclared keys, unless their structure sets it (default `"allow"`).
+ * - `locale` - The locale issue messages are rendered in (default: the current locale, see `setLocale`).
+ */
+interface ValidateOptions {
+  allErrors?: boolean;
+  path?: string;
+  unknownKeys?: UnknownKeysMode;
+  locale?: string;
+}
+
+/**
+ * Options for `validateByStructureAsync`: those of `validateByStructure`, plus
+ *
+ * - `timeout` - Milliseconds to wait for async checks; those still running are reported as `timeout` issues.
+ * - `signal` - Cancels the validation: the promise rejects with the signal's reason.
+ *
+ * Either way, checks still running see their `signal` aborted.
+ */
+interface AsyncValidateOptions extends ValidateOptions {
+  timeout?: number;
+  signal?: AbortSignal;
+}
+
+interface WalkContext {
+  issues: StructureIssue[];
+  allErrors: boolean;
+  unknownKeys: UnknownKeysMode;
+  locale?: string;
+  // Objects being validated through lazy structures, by path, to detect cyclic data
+  ancestors: Map<object, string>;
+  // Async checks, collected by `validateByStructureAsync` and awaited after the walk
+  pending?: PendingCheck[];
+  signal?: AbortSignal;
+}
+
+/**
+ * An async check started during the walk. Its issue, if any, is inserted at `index`,
+ * so issues keep the order of the structure.
+ */
+interface PendingCheck {
+  result: PromiseLike<RefinementFailure | void>;
+  index: number;
+  issue: Pick<StructureIssue, "path" | "expected" | "received">;
+  rule?: string;
+}
+
+type RefinementFailure = Pick<Refinement, "code" | "params" | "message">;
+
+type Primitive = string | number | bigint | boolean | symbol | null | undefined;
+
+const hasOwn = (object: object, key: string): boolean =>
+  Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Sets `key` as an own data property. Assigning `__proto__`, which `JSON.parse` creates as an ordinary key,
+ * would replace the prototype of `target` instead, so input could add inherited properties to validated data.
+ *
+ * @param target - The object to set the key on.
+ * @param key - The key.
+ * @param value - The value.
+ */
+function setOwn(target: { [key: string]: any }, key: string, value: any) {
+  if (key === "__proto__") {
+    Object.defineProperty(target, key, {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  } else {
+    target[key] = value;
+  }
+}
+
+/**
+ * Copies the own enumerable properties of `source` into a plain object, keeping `__proto__` an own key (see `setOwn`).
+ *
+ * @param source - The object to copy.
+ * @returns The copy.
+ */
+function copyOwn(source: { [key: string]: any }): { [key: string]: any } {
+  const copy = { ...source };
+  if (hasOwn(source, "__proto__")) {
+    Object.setPrototypeOf(copy, Object.prototype);
+    setOwn(copy, "__proto__", source["__proto__"]);
+  }
+  return copy;
+}
+
+/**
+ * Records an issue, rendering its message from the catalog unless a fixed message is given.
+ *
+ * @param ctx - Shared state of the current validation run.
+ * @param issue - The issue, without a message or with a fixed one.
+ */
+function pushIssue(
+  ctx: WalkContext,
+  issue: Omit<StructureIssue, "message" | "params"> & {
+    message?: string;
+    params?: { [key: string]: any };
+  }
+): void {
+  const { code, path, expected, received } = issue;
+  const params = { expected, received, ...issue.params };
+  ctx.issues.push({
+    code,
+    path,
+    expected,
+    received,
+    params,
+    message:
+      issue.message || formatMessage(code, { ...params, path }, ctx.locale),
+  });
+}
+
+/**
+ * Describes the runtime type of a value, telling `null` and arrays apart from objects.
+ *
+ * @param value - The value to describe.
+ * @returns The `typeof` name, or `"null"` / `"array"`.
+ */
+function describeType(value: any): string {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Short printable form of a value, used in literal issue messages.
+ *
+ * @param value - The value to print.
+ * @returns The JSON form of the value, or its type when it has none.
+ */
+function describeValue(value: any): string {
+  const json = typeof value === "function" ? undefined : JSON.stringify(value);
+  return json === undefined ? String(value) : json;
+}
+
+/**
+ * Checks whether a structure is a modifier created by `optional`, `nullable` or `withDefault`.
+ *
+ * @param structure - The structure to check.
+ * @returns True if the structure is a modifier.
+ */
+function isModifier(structure: any): structure is StructureModifier {
+  return (
+    typeof structure === "object" &&
+    structure !== null &&
+    structure[MODIFIER] === true
+  );
+}
+
+/**
+ * Checks whether a structure is an array structure created by `arrayOf` or `tuple`.
+ *
+ * @param structure - The structure to check.
+ * @returns True if the structure is an array structure.
+ */
+function isArrayStructure(structure: any): structure is ArrayStructure {
+  return (
+    typeof structure === "object" &&
+    structure !== null &&
+    structure[ARRAY] === true
+  );
+}
+
+/**
+ * Describes a homogeneous list whose every item matches `structure`.
+ * `["string"]` is shorthand for `arrayOf("string")` without constraints.
+ *
+ * @param structure - The structure of each item.
+ * @param constraints - Length and uniqueness constraints.
+ * @returns The array structure.
+ */
+function arrayOf<S extends Structure>(
+  structure: S,
+  constraints: ArrayConstraints = {}
+): ArrayOf<S> {
+  return { [ARRAY]: true, items: [structure], tuple: false, ...constraints };
+}
+
+/**
+ * Describes a tuple: the item at each position must match the structure at the same position.
+ *
+ * @param structures - The structure of each position.
+ * @param constraints - The `rest` structure for extra items, plus length and uniqueness constraints.
+ * @returns The array structure.
+ */
+function tuple<
+  T extends Structure[],
+  R extends Structure | undefined = undefined
+>(
+  structures: [...T],
+  constraints: ArrayConstraints & { rest?: R } = {}
+): TupleOf<T, R> {
+  return {
+    [ARRAY]: true,
+    items: structures as T,
+    tuple: true,
+    ...(constraints as { rest: R }),
+  };
+}
+
+/**
+ * Checks whether a structure is tagged with the given node symbol.
+ *
+ * @param structure - The structure to check.
+ * @param tag - The node symbol.
+ * @returns True if the structure carries the tag.
+ */
+function hasTag(structure: any, tag: symbol): boolean {
+  return (
+    typeof structure === "object" && structure !== null && tag in structure
+  );
+}
+
+const isRefined = (structure: any): structure is RefinedStructure =>
+  hasTag(structure, REFINED);
+const isTransformed = (structure: any): structure is TransformedStructure =>
+  hasTag(structure, TRANSFORMED);
+const isLiteral = (structure: any): structure is LiteralStructure =>
+  hasTag(structure, LITERAL);
+const isUnion = (structure: any): structure is UnionStructure =>
+  hasTag(structure, UNION);
+const isRecord = (structure: any): structure is RecordStructure =>
+  hasTag(structure, RECORD);
+const isStructureLike = (structure: any): structure is StructureLike =>
+  hasTag(structure, STRUCTURE);
+const isLazy = (structure: any): structure is LazyStructure =>
+  hasTag(structure, LAZY);
+
+/**
+ * Creates a reference to a structure that is only resolved when it is validated,
+ * so a structure can refer to itself or to structures declared after it.
+ * Data that refers back to itself through a lazy structure is reported as a `cyclic_value` issue.
+ *
+ * @example
+ * interface Comment { text: string; replies: Comment[] }
+ * const comment: LazyStructure<Comment> = lazy(
+ *   () => ({ text: "string", replies: arrayOf(comment) }),
+ *   { name: "Comment" }
+ * );
+ *
+ * @param getter - Returns the structure.
+ * @param options - The `name` of the structure, used in issues and as its JSON Schema definition.
+ * @returns The lazy structure.
+ */
+function lazy<T = unknown>(
+  getter: () => Structure,
+  options: { name?: string } = {}
+): LazyStructure<T> {
+  let resolved: Structure | undefined;
+  return {
+    [LAZY]: true,
+    name: options.name,
+    get [STRUCTURE]() {
+      if (resolved === undefined) resolved = getter();
+      return resolved;
+    },
+  };
+}
+
+/**
+ * Applies `fn` to the structure beneath any modifiers, keeping the modifiers around the result.
+ * Used so constraints added to an optional structure are not run on a missing value.
+ *
+ * @param structure - The structure, possibly wrapped in modifiers.
+ * @param fn - Maps the inner structure.
+ * @returns The mapped structure with the same modifiers.
+ */
+function mapStructure(
+  structure: Structure,
+  fn: (structure: Structure) => Structure
+): Structure {
+  if (!isModifier(structure)) return fn(structure);
+  const {
+    structure: inner,
+    optional,
+    nullable,
+    hasDefault,
+    defaultValue,
+    unknownKeys,
+  } = structure;
+  return modify(mapStructure(inner, fn), {
+    optional,
+    nullable,
+    hasDefault,
+    defaultValue,
+    unknownKeys,
+  });
+}
+
+/**
+ * Adds a custom check to a structure. The check only runs once the value matches the structure.
+ *
+ * @param structure - The structure to refine.
+ * @param check - Returns `false` or an Error, or throws, when the value is invalid.
+ * @param options - The issue `code` (default `"custom"`), `expected` description and `message`.
+ * @returns The refined structure.
+ */
+function refine<S extends Structure>(
+  structure: S,
+  check: Refinement["check"],
+  options: Omit<Refinement, "check"> = {}
+): Refined<S> {
+  return mapStructure(structure, (inner) => ({
+    [REFINED]: true,
+    structure: isRefined(inner) ? inner.structure : inner,
+    refinements: [
+      ...(isRefined(inner) ? inner.refinements : []),
+      { check, ...options },
+    ],
+  })) as Refined<S>;
+}
+
+/**
+ * Runs a refinement against a value.
+ *
+ * @param refinement - The refinement to run.
+ * @param value - The value to check.
+ * @returns The code, params and fixed message (if any) of the failure, or undefined if the check passed.
+ */
+function runRefinement(
+  refinement: Refinement,
+  value: any
+): RefinementFailure | void | PromiseLike<RefinementFailure | void> {
+  let result;
+  try {
+    result = refinement.check(value);
+  } catch (error) {
+    result = error instanceof Error ? error : false;
+  }
+  if (isPromiseLike(result)) {
+    return Promise.resolve(result).then(
+      (settled) => refinementFailure(refinement, settled),
+      (error) =>
+        refinementFailure(refinement, error instanceof Error ? error : false)
+    );
+  }
+  return refinementFailure(refinement, result);
+}
+
+/**
+ * Interprets the result of a refinement check.
+ *
+ * @param refinement - The refinement.
+ * @param result - What the check returned, or the Error it threw.
+ * @returns The failure, if the check failed.
+ */
+function refinementFailure(
+  refinement: Refinement,
+  result: RefinementResult
+): RefinementFailure | void {
+  const failure = {
+    code: refinement.code || "custom",
+    params: refinement.params,
+    message: refinement.message,
+  };
+  if (result === false) return failure;
+  if (result instanceof ValidationError && !refinement.message) {
+    return { code: result.code, params: result.params };
+  }
+  if (result instanceof Error) {
+    return { ...failure, message: refinement.message || result.message };
+  }
+}
+
+const isPromiseLike = (value: any): value is PromiseLike<any> =>
+  typeof value === "object" &&
+  value !== null &&
+  typeof value.then === "function";
+
+/**
+ * Uses a registered rule as a refinement: the rule's check, issue code, description and message,
+ * with the path and params of this use.
+ *
+ * @param refinement - The refinement created by `rule`.
+ * @param path - The path of the value.
+ * @param ctx - Shared state of the current validation run.
+ * @returns The refinement to run.
+ * @throws ValidationError if the rule isn't registered.
+ */
+function resolveRule(
+  refinement: Refinement,
+  path: string,
+  ctx: WalkContext
+): Refinement {
+  const { check, code, expected, message } = getRule(refinement.rule!);
+  const params = refinement.params || {};
+  return {
+    check: (value) => check(value, { path, params, signal: ctx.signal }),
+    code,
+    expected,
+    message,
+    params,
+    rule: refinement.rule,
+  };
+}
+
+/**
+ * Adds a registered rule to a structure, like `refine` with the rule's check. The rule is looked up
+ * when the structure is validated, and its issues carry `params` along with the `rule` name.
+ *
+ * @example
+ * const signup = { username: rule("string", "username_available"), coupon: optional(rule("string", "coupon_exists")) };
+ * await validateByStructureAsync(signup, body, { timeout: 2000 });
+ *
+ * @param structure - The structure to refine.
+ * @param name - The name the rule is registered under, see `registerRule`.
+ * @param params - Params passed to the rule's check and used in its issue message.
+ * @returns The refined structure.
+ */
+function rule<S extends Structure>(
+  structure: S,
+  name: string,
+  params: { [key: string]: any } = {}
+): Refined<S> {
+  // Checks outside a walk, like compiled validators, still run the rule; without a path or signal
+  const check = (value: any) =>
+    getRule(name).check(value, { path: "", params: { rule: name, ...params } });
+  return refine(structure, check, {
+    rule: name,
+    params: { rule: name, ...params },
+  });
+}
+
+/**
+ * Runs `transforms` on the input before validating it against `structure`, e.g. `transform("string", trim)`.
+ * The validated value is the transformed one. Transforms run before the optional, nullable and default checks,
+ * so `emptyToUndefined` makes an empty string count as missing; transforms added to an already
+ * transformed structure run after its own.
+ *
+ * @param structure - The structure the transformed value must match.
+ * @param transforms - The transforms to apply, in order.
+ * @returns The transformed structure.
+ */
+function transform<S extends Structure>(
+  structure: S,
+  ...transforms: Transform[]
+): Transformed<S> {
+  return mapStructure(structure, (inner) => ({
+    [TRANSFORMED]: true,
+    structure: isTransformed(inner) ? inner.structure : inner,
+    transforms: [
+      ...(isTransformed(inner) ? inner.transforms : []),
+      ...transforms,
+    ],
+  })) as Transformed<S>;
+}
+
+/**
+ * The transform `coerce` applies for each type name.
+ */
+const coercions = { number: toNumber, boolean: toBoolean };
+
+/**
+ * Describes a number or boolean that may also be given as a string, as in query strings and form data:
+ * `"42"` becomes `42`, `"true"` becomes `true` (see `toNumber` and `toBoolean`).
+ *
+ * @param type - `"number"` or `"boolean"`.
+ * @returns The transformed structure.
+ */
+function coerce<T extends keyof typeof coercions>(type: T): Transformed<T> {
+  return transform(type, coercions[type]);
+}
+
+/**
+ * Applies the transforms of a structure to a value.
+ * A transform that throws is reported like a failed refinement, and the value is left as it was.
+ *
+ * @param structure - The transformed structure.
+ * @param arg - The value to transform.
+ * @param path - The current path in the structure for error reporting.
+ * @param ctx - Shared state of the current validation run.
+ * @returns The transformed value, or undefined with an issue pushed if a transform threw.
+ */
+function applyTransforms(
+  structure: TransformedStructure,
+  arg: any,
+  path: string,
+  ctx: WalkContext
+): { value: any } | undefined {
+  let value = arg;
+  for (const fn of structure.transforms) {
+    let failure;
+    try {
+      value = fn(value);
+    } catch (error) {
+      // A throwing transform fails like a throwing refinement check
+      failure = refinementFailure(
+        { check: fn },
+        error instanceof Error ? error : false
+      );
+    }
+    if (failure) {
+      pushIssue(ctx, {
+        code: failure.code || "custom",
+        path,
+        expected: describeStructure(structure.structure),
+        received: describeType(value),
+        params: failure.params,
+        message: failure.message,
+      });
+      return undefined;
+    }
+  }
+  return { value };
+}
+
+/**
+ * Describes a structure that matches exactly `value`.
+ *
+ * @param value - The accepted value.
+ * @returns The literal structure.
+ */
+function literal<V extends Primitive>(value: V): LiteralOf<[V]> {
+  return { [LITERAL]: true, values: [value] };
+}
+
+/**
+ * Describes an enum: a structure matching any one of `values`.
+ *
+ * @param values - The accepted values.
+ * @returns The literal structure.
+ */
+function oneOf<T extends Primitive[]>(
+  values: readonly [...T]
+): LiteralOf<T[number][]> {
+  return { [LITERAL]: true, values: values.slice() };
+}
+
+/**
+ * Describes a union: the value must match at least one of `structures`, tried in order.
+ *
+ * @param structures - The accepted structures.
+ * @returns The union structure.
+ */
+function union<T extends Structure[]>(structures: [...T]): UnionOf<T> {
+  return { [UNION]: true, options: structures.slice() as T };
+}
+
+/**
+ * Describes an object with arbitrary keys whose values all match `values`.
+ *
+ * @param values - The structure of every value.
+ * @param keys - The structure every key (a string) must match, if any.
+ * @returns The record structure.
+ */
+function record<V extends Structure>(values: V, keys?: Structure): RecordOf<V> {
+  return { [RECORD]: true, values, keys };
+}
+
+/**
+ * Builds a key that is equal for deeply equal JSON-like values, used for uniqueness checks.
+ *
+ * @param value - The value to build a key for.
+ * @returns The comparison key.
+ */
+function uniqueKey(value: any): any {
+  if (typeof value !== "object" || value === null) return value;
+  return JSON.stringify(value, (_, item) =>
+    typeof item === "object" && item !== null && !Array.isArray(item)
+      ? Object.keys(item)
+          .sort()
+          .reduce((sorted: { [key: string]: any }, key) => {
+            setOwn(sorted, key, item[key]);
+            return sorted;
+          }, {})
+      : item
+  );
+}
+
+/**
+ * Validates an array against an array structure: item structures first, then length and uniqueness.
+ *
+ * @param structure - The array structure.
+ * @param arg - The array to be validated.
+ * @param path - The current path in the structure for error reporting.
+ * @param ctx - Shared state of the current validation run.
+ * @returns A copy of the array with validated items.
+ */
+function walkArray(
+  structure: ArrayStructure,
+  arg: any[],
+  path: string,
+  ctx: WalkContext
+): any[] {
+  const stop = () => !ctx.allErrors && ctx.issues.length > 0;
+  const { items, minLength, maxLength, unique } = structure;
+  const output = arg.slice();
+
+  // Tuples without a rest structure have a fixed length
+  const fixed = structure.tuple && structure.rest === undefined;
+  const min = fixed ? Math.max(items.length, minLength || 0) : minLength;
+  const max = fixed ? Math.min(items.length, maxLength ?? Infinity) : maxLength;
+  if (min !== undefined && arg.length < min) {
+    pushIssue(ctx, {
+      code: "too_small",
+      path,
+      expected: `at least ${min} items`,
+      received: `${arg.length} items`,
+      params: { type: "array", min, count: arg.length },
+    });
+    if (stop()) return output;
+  }
+  if (max !== undefined && arg.length > max) {
+    pushIssue(ctx, {
+      code: "too_big",
+      path,
+      expected: `at most ${max} items`,
+      received: `${arg.length} items`,
+      params: { type: "array", max, count: arg.length },
+    });
+    if (stop()) return output;
+  }
+
+  for (let i = 0; i < arg.length; i++) {
+    // Tuples match items by position, lists match every item against the single structure
+    const item = structure.tuple
+      ? i < items.length
+        ? items[i]
+        : structure.rest
+      : items[0];
+    if (item === undefined) continue;
+    // The path includes the index to specify the exact location in the array
+    output[i] = walk(item, output[i], `${path}[${i}]`, ctx);
+    if (stop()) return output;
+  }
+
+  if (unique) {
+    const seen = new Set();
+    const keyOf = typeof unique === "function" ? unique : uniqueKey;
+    for (let i = 0; i < output.length; i++) {
+      const key = keyOf(output[i]);
+      if (seen.has(key)) {
+        pushIssue(ctx, {
+          code: "not_unique",
+          path: `${path}[${i}]`,
+          expected: "unique item",
+          received: "duplicate item",
+        });
+        if (stop()) return output;
+      }
+      seen.add(key);
+    }
+  }
+  return output;
+}
+
+/**
+ * Builds a modifier around `structure`, merging flags when it is already a modifier.
+ *
+ * @param structure - The structure to wrap.
+ * @param flags - The flags to set on the modifier.
+ * @returns The new modifier.
+ */
+function modify(
+  structure: Structure,
+  flags: Partial<Omit<StructureModifier, typeof MODIFIER | "structure">>
+): StructureModifier {
+  const base: Omit<StructureModifier, typeof MODIFIER> = isModifier(structure)
+    ? structure
+    : { structure, optional: false, nullable: false, hasDefault: false };
+  return {
+    [MODIFIER]: true,
+    structure: base.structure,
+    optional: base.optional,
+    nullable: base.nullable,
+    hasDefault: base.hasDefault,
+    defaultValue: base.defaultValue,
+    unknownKeys: base.unknownKeys,
+    ...flags,
+  };
+}
+
+/**
+ * Marks a structure as optional: the key may be missing or `undefined`.
+ *
+ * @param structure - The structure of the value when it is present.
+ * @returns The optional structure.
+ */
+function optional<S extends Structure>(structure: S): Optional<S> {
+  return modify(structure, { optional: true }) as Optional<S>;
+}
+
+/**
+ * Marks a structure as nullable: `null` is accepted in addition to the structure itself.
+ *
+ * @param structure - The structure of the value when it is not null.
+ * @returns The nullable structure.
+ */
+function nullable<S extends Structure>(structure: S): Nullable<S> {
+  return modify(structure, { nullable: true }) as Nullable<S>;
+}
+
+/**
+ * Gives a structure a default value used when the key is missing or `undefined`.
+ * Pass a function to build a fresh default (e.g. a new array) on every validation.
+ *
+ * @param structure - The structure of the value when it is present.
+ * @param defaultValue - The default value, or a function returning it.
+ * @returns The default-valued structure.
+ */
+function withDefault<S extends Structure>(
+  structure: S,
+  defaultValue: any
+): Defaulted<S> {
+  return modify(structure, { hasDefault: true, defaultValue }) as Defaulted<S>;
+}
+
+/**
+ * Sets how an object structure treats keys it does not declare, overriding the per-call option.
+ *
+ * @param structure - The object structure.
+ * @param mode - `"allow"`, `"strip"` or `"reject"`.
+ * @returns The structure with the unknown-keys mode applied.
+ */
+function withUnknownKeys<S extends Structure>(
+  structure: S,
+  mode: UnknownKeysMode
+): Modified<S> {
+  return modify(structure, { unknownKeys: mode }) as Modified<S>;
+}
+
+/**
+ * Marks an object structure as strict: undeclared keys are rejected.
+ *
+ * @param structure - The object structure.
+ * @returns The strict structure.
+ */
+function strict<S extends Structure>(structure: S): Modified<S> {
+  return withUnknownKeys(structure, "reject");
+}
+
+/**
+ * Checks whether a structure accepts a missing (`undefined`) value.
+ *
+ * @param structure - The structure to check.
+ * @returns True if the structure is optional or has a default value.
+ */
+function acceptsMissing(structure: Structure): boolean {
+  if (isStructureLike(structure)) return acceptsMissing(structure[STRUCTURE]);
+  if (isTransformed(structure)) return acceptsMissing(structure.structure);
+  return isModifier(structure) && (structure.optional || structure.hasDefault);
+}
+
+/**
+ * Walks `structure` and `arg` side by side, pushing every mismatch into `ctx.issues`.
+ * Stops at the first issue unless `ctx.allErrors` is set.
+ *
+ * @param structure - The structure to validate against.
+ * @param arg - The data to be validated.
+ * @param path - The current path in the structure for error reporting.
+ * @param ctx - Shared state of the current validation run.
+ * @param unknownKeys - The unknown-keys mode set by an enclosing modifier, if any.
+ * @returns The validated value, with defaults filled in and stripped keys removed.
+ */
+function walk(
+  structure: Structure,
+  arg: any,
+  path: string,
+  ctx: WalkContext,
+  unknownKeys?: UnknownKeysMode
+): any {
+  const stop = () => !ctx.allErrors && ctx.issues.length > 0;
+
+  if (isModifier(structure)) {
+    // Transforms of the inner structure run first, so they can turn a value into a missing one
+    let inner = structure.structure;
+    let value = arg;
+    if (isTransformed(inner)) {
+      const transformed = applyTransforms(inner, arg, path, ctx);
+      if (!transformed) return arg;
+      value = transformed.value;
+      inner = inner.structure;
+    }
+    // Missing values fall back to the default, or pass when the structure is optional
+    if (value === undefined && structure.hasDefault) {
+      const { defaultValue } = structure;
+      return typeof defaultValue === "function" ? defaultValue() : defaultValue;
+    }
+    if (value === undefined && structure.optional) return undefined;
+    if (value === null && structure.nullable) return null;
+    return walk(inner, value, path, ctx, structure.unknownKeys || unknownKeys);
+  }
+
+  if (isLazy(structure)) {
+    // A lazy structure can resolve to another one for the same value, at the same path
+    const ancestor =
+      typeof arg === "object" && arg !== null ? ctx.ancestors.get(arg) : path;
+    if (ancestor === path) {
+      return walk(structure[STRUCTURE], arg, path, ctx, unknownKeys);
+    }
+    // An object that is already being validated higher up contains itself
+    if (ancestor !== undefined) {
+      pushIssue(ctx, {
+        code: "cyclic_value",
+        path,
+        expected: describeStructure(structure),
+        received: "cyclic reference",
+        params: { ancestor },
+      });
+      return arg;
+    }
+    ctx.ancestors.set(arg, path);
+    try {
+      return walk(structure[STRUCTURE], arg, path, ctx, unknownKeys);
+    } finally {
+      ctx.ancestors.delete(arg);
+    }
+  }
+
+  if (isStructureLike(structure)) {
+    return walk(structure[STRUCTURE], arg, path, ctx, unknownKeys);
+  }
+
+  if (isTransformed(structure)) {
+    const transformed = applyTransforms(structure, arg, path, ctx);
+    if (!transformed) return arg;
+    return walk(structure.structure, transformed.value, path, ctx, unknownKeys);
+  }
+
+  if (isRefined(structure)) {
+    // Custom checks only run once the value matches the underlying structure
+    const before = ctx.issues.length;
+    const value = walk(structure.structure, arg, path, ctx, unknownKeys);
+    if (ctx.issues.length > before) return value;
+    for (const entry of structure.refinements) {
+      const refinement =
+        entry.rule === undefined ? entry : resolveRule(entry, path, ctx);
+      const issue = {
+        path,
+        expected: refinement.expected || describeStructure(structure.structure),
+        received: describeType(value),
+      };
+      const failure = runRefinement(refinement, value);
+      if (isPromiseLike(failure)) {
+        // Async checks are awaited after the walk, or can't run at all in a sync validation
+        if (ctx.pending) {
+          const { rule } = refinement;
+          ctx.pending.push({
+            result: failure,
+            index: ctx.issues.length,
+            issue,
+            rule,
+          });
+          continue;
+        }
+        pushIssue(ctx, {
+          ...issue,
+          code: "async_check",
+          params: refinement.params,
+        });
+        if (stop()) return value;
+        continue;
+      }
+      if (!failure) continue;
+      pushIssue(ctx, {
+        ...issue,
+        code: failure.code || "custom",
+        params: failure.params,
+        message: failure.message,
+      });
+      if (stop()) return value;
+    }
+    return value;
+  }
+
+  if (isLiteral(structure)) {
+    if (!structure.values.includes(arg)) {
+      const expected = describeStructure(structure);
+      pushIssue(ctx, {
+        code: "invalid_literal",
+        path,
+        expected,
+        received: describeType(arg),
+        params: { values: structure.values, value: describeValue(arg) },
+      });
+    }
+    return arg;
+  }
+
+  if (isUnion(structure)) {
+    // The first option that matches without issues wins
+    for (const option of structure.options) {
+      const attempt: WalkContext = {
+        ...ctx,
+        issues: [],
+        allErrors: false,
+        pending: ctx.pending && [],
+      };
+      const value = walk(option, arg, path, attempt, unknownKeys);
+      if (attempt.issues.length > 0) continue;
+      // Async checks only run for the option that matched
+      for (const check of attempt.pending || []) {
+        ctx.pending!.push({ ...check, index: ctx.issues.length });
+      }
+      return value;
+    }
+    const expected = describeStructure(structure);
+    pushIssue(ctx, {
+      code: "invalid_union",
+      path,
+      expected,
+      received: describeType(arg),
+    });
+    return arg;
+  }
+
+  if (isRecord(structure)) {
+    if (typeof arg !== "object" || arg === null || Array.isArray(arg)) {
+      pushIssue(ctx, {
+        code: "invalid_type",
+        path,
+        expected: "object",
+        received: describeType(arg),
+      });
+      return arg;
+    }
+    const output: { [key: string]: any } = {};
+    for (const key of Object.keys(arg)) {
+      if (structure.keys !== undefined) {
+        const before = ctx.issues.length;
+        walk(structure.keys, key, `${path}.${key}`, ctx);
+        if (stop()) return output;
+        if (ctx.issues.length > before) continue;
+      }
+      setOwn(
+        output,
+        key,
+        walk(structure.values, arg[key], `${path}.${key}`, ctx)
+      );
+      if (stop()) return output;
+    }
+    return output;
+  }
+
+  if (typeof structure === "string") {
+    // If the structure is a string, check if the type of the argument matches the expected type;
+    // `null` is never accepted as an "object", use `nullable` for that
+    if (typeof arg !== structure || arg === null) {
+      pushIssue(ctx, {
+        code: "invalid_type",
+        path,
+        expected: structure,
+        received: describeType(arg),
+      });
+    }
+    return arg;
+  } else if (Array.isArray(structure) || isArrayStructure(structure)) {
+    // If the structure is an array, ensure the argument is also an array
+    if (!Array.isArray(arg)) {
+      pushIssue(ctx, {
+        code: "invalid_type",
+        path,
+        expected: "array",
+        received: describeType(arg),
+      });
+      return arg;
+    }
+    if (isArrayStructure(structure))
+      return walkArray(structure, arg, path, ctx);
+    // A bare array is a homogeneous list: `[]` accepts any items, `[item]` checks each one.
+    // Positional items need `tuple`, so longer bare arrays are ambiguous.
+    if (structure.length > 1) {
+      pushIssue(ctx, {
+        code: "unknown_structure",
+        path,
+        expected: "structure",
+        received: "array",
+        params: { reason: "ambiguous_array" },
+      });
+      return arg;
+    }
+    return walkArray(arrayOf(structure[0]), arg, path, ctx);
+  } else if (typeof structure === "object" && structure !== null) {
+    // If the structure is an object, ensure the argument is also an object
+    if (typeof arg !== "object" || arg === null) {
+      pushIssue(ctx, {
+        code: "invalid_type",
+        path,
+        expected: "object",
+        received: describeType(arg),
+      });
+      return arg;
+    }
+    // Validate each key-value pair in the object
+    const mode = unknownKeys || ctx.unknownKeys;
+    const output: { [key: string]: any } = mode === "allow" ? copyOwn(arg) : {};
+    for (const key in structure) {
+      if (!hasOwn(structure, key)) continue;
+      if (hasOwn(arg, key) || acceptsMissing(structure[key])) {
+        // Append the key to the path for detailed error reporting
+        const value = walk(structure[key], arg[key], `${path}.${key}`, ctx);
+        if (value !== undefined || hasOwn(arg, key)) setOwn(output, key, value);
+      } else {
+        pushIssue(ctx, {
+          code: "missing_key",
+          path: `${path}.${key}`,
+          expected: describeStructure(structure[key]),
+          received: "undefined",
+          params: { key, parent: path },
+        });
+      }
+      if (stop()) return output;
+    }
+    // Report keys the structure does not declare when running in "reject" mode
+    if (mode === "reject") {
+      for (const key of Object.keys(arg)) {
+        if (hasOwn(structure, key)) continue;
+        pushIssue(ctx, {
+          code: "unrecognized_key",
+          path: `${path}.${key}`,
+          expected: "undefined",
+          received: describeType(arg[key]),
+          params: { key, parent: path },
+        });
+        if (stop()) return output;
+      }
+    }
+    return output;
+  } else {
+    // If the structure type is unknown, report it
+    pushIssue(ctx, {
+      code: "unknown_structure",
+      path,
+      expected: "structure",
+      received: describeType(structure),
+    });
+    return arg;
+  }
+}
+
+/**
+ * Short human-readable name of what a structure expects, used in issue reports.
+ *
+ * @param structure - The structure to describe.
+ * @returns The expected type name.
+ */
+function describeStructure(structure: Structure): string {
+  if (isModifier(structure)) {
+    const inner = describeStructure(structure.structure);
+    return structure.nullable ? `${inner} | null` : inner;
+  }
+  if (isLazy(structure) && structure.name !== undefined) return structure.name;
+  if (isStructureLike(structure))
+    return describeStructure(structure[STRUCTURE]);
+  if (isRefined(structure) || isTransformed(structure))
+    return describeStructure(structure.structure);
+  if (isLiteral(structure))
+    return structure.values.map(describeValue).join(" | ");
+  if (isUnion(structure)) {
+    return structure.options.map(describeStructure).join(" | ");
+  }
+  if (isRecord(structure)) return "object";
+  if (typeof structure === "string") return structure;
+  if (Array.isArray(structure) || isArrayStructure(structure)) return "array";
+  return "object";
+}
+
+/**
+ * Validates if the given data (`arg`) matches the defined `structure`.
+ * If validation fails, it returns a ValidationError for the first issue, otherwise it returns nothing (void).
+ *
+ * Pass `{ allErrors: true }` as the third argument to walk the whole structure instead;
+ * the result then lists every issue with its path, expected and received type and code,
+ * along with a copy of the data where missing default-valued keys are filled in
+ * and, in `"strip"` mode, unknown keys are removed.
+ *
+ * @param structure - The structure to validate against, can be a string, array, or object.
+ * @param arg - The data to be validated.
+ * @param pathOrOptions - The path prefix for error reporting, or validation options.
+ * @returns An Error if validation fails, otherwise nothing (void); in "all errors" mode, the aggregate result.
+ */
+function validateByStructure<S extends Structure>(
+  structure: S,
+  arg: any,
+  options: ValidateOptions & { allErrors: true }
+): StructureValidationResult<Infer<S>>;
+function validateByStructure(
+  structure: Structure,
+  arg: any,
+  pathOrOptions?: string | ValidateOptions
+): Throwing;
+function validateByStructure<S extends Structure>(
+  structure: S,
+  arg: any,
+  pathOrOptions: string | ValidateOptions = "" // `path` is used to track the current location within the structure for error reporting
+): Throwing | StructureValidationResult<Infer<S>> {
+  const options: ValidateOptions =
+    typeof pathOrOptions === "string" ? { path: pathOrOptions } : pathOrOptions;
+  const ctx: WalkContext = {
+    issues: [],
+    allErrors: !!options.allErrors,
+    unknownKeys: options.unknownKeys || "allow",
+    locale: options.locale,
+    ancestors: new Map(),
+  };
+
+  const value = walk(structure, arg, options.path || "", ctx);
+
+  if (ctx.allErrors) {
+    return { valid: ctx.issues.length === 0, issues: ctx.issues, value };
+  }
+  if (ctx.issues.length > 0) {
+    return ValidationError.fromIssues(ctx.issues);
+  }
+}
+
+/**
+ * Validates `arg` and returns the validated value: transformed, with defaults filled in
+ * and unknown keys stripped as configured.
+ *
+ * @example
+ * const query = { page: withDefault(coerce("number"), 1), q: transform("string", trim) };
+ * parseByStructure(query, { page: "2", q: " shoes " }); // { page: 2, q: "shoes" }
+ *
+ * @param structure - The structure to validate against.
+ * @param arg - The data to be validated.
+ * @param options - Validation options, as for `validateByStructure`.
+ * @returns The validated value.
+ * @throws ValidationError for the first issue found.
+ */
+function parseByStructure<S extends Structure>(
+  structure: S,
+  arg: unknown,
+  options: Omit<ValidateOptions, "allErrors"> = {}
+): Infer<S> {
+  const ctx: WalkContext = {
+    issues: [],
+    allErrors: false,
+    unknownKeys: options.unknownKeys || "allow",
+    locale: options.locale,
+    ancestors: new Map(),
+  };
+  const value = walk(structure, arg, options.path || "", ctx);
+  if (ctx.issues.length > 0) throw ValidationError.fromIssues(ctx.issues);
+  return value;
+}
+
+const TIMED_OUT = Symbol("basic-input-validation.timed_out");
+
+/**
+ * Waits for the async checks of a walk to settle, up to `timeout` milliseconds.
+ *
+ * @param pending - The checks.
+ * @param timeout - How long to wait, if limited.
+ * @param signal - Cancels waiting.
+ * @returns The failure of each check, or `TIMED_OUT` for those still running.
+ */
+function settle(
+  pending: PendingCheck[],
+  timeout?: number,
+  signal?: AbortSignal
+): Promise<(RefinementFailure | void | typeof TIMED_OUT)[]> {
+  return new Promise((resolve, reject) => {
+    const results: (RefinementFailure | void | typeof TIMED_OUT)[] =
+      pending.map(() => TIMED_OUT);
+    let remaining = pending.length;
+    let finished = false;
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    const finish = (error?: unknown) => {
+      if (finished) return;
+      finished = true;
+      if (timer !== undefined) clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+      if (error === undefined) resolve(results);
+      else reject(error);
+    };
+    const onAbort = () => finish(abortReason(signal!));
+
+    if (remaining === 0) return finish();
+    if (signal) signal.addEventListener("abort", onAbort);
+    if (timeout !== undefined) timer = setTimeout(() => finish(), timeout);
+    pending.forEach((check, index) => {
+      check.result.then((failure) => {
+        if (finished) return;
+        results[index] = failure;
+        if (--remaining === 0) finish();
+      });
+    });
+  });
+}
+
+/**
+ * The error an aborted validation rejects with: the signal's reason, or an `AbortError`.
+ *
+ * @param signal - The aborted signal.
+ * @returns The error.
+ */
+function abortReason(signal: AbortSignal): unknown {
+  if (signal.reason !== undefined) return signal.reason;
+  const error = new Error("The validation was aborted.");
+  error.name = "AbortError";
+  return error;
+}
+
+/**
+ * Async variant of `validateByStructure`, for structures with async checks such as
+ * registered rules that look values up in a database. Sync checks run first, during the walk;
+ * async checks start as they are reached, run concurrently, and are awaited at the end.
+ * Their issues keep the order of the structure.
+ *
+ * Async checks run once the value matches its structure, like any refinement. In a union,
+ * they only run for the first option that matches otherwise.
+ *
+ * @example
+ * const result = await validateByStructureAsync(signup, body, {
+ *   allErrors: true,
+ *   timeout: 2000,
+ *   signal: request.signal,
+ * });
+ *
+ * @param structure - The structure to validate against.
+ * @param arg - The data to be validated.
+ * @param options - Validation options, with a `timeout` and an abort `signal`.
+ * @returns A promise of what `validateByStructure` returns.
+ * @throws The abort reason if `signal` is aborted.
+ */
+async function validateByStructureAsync<S extends Structure>(
+  structure: S,
+  arg: any,
+  options: AsyncValidateOptions & { allErrors: true }
+): Promise<StructureValidationResult<Infer<S>>>;
+async function validateByStructureAsync(
+  structure: Structure,
+  arg: any,
+  options?: AsyncValidateOptions
+): Promise<Throwing>;
+async function validateByStructureAsync<S extends Structure>(
+  structure: S,
+  arg: any,
+  options: AsyncValidateOptions = {}
+): Promise<Throwing | StructureValidationResult<Infer<S>>> {
+  const { timeout, signal } = options;
+  if (signal && signal.aborted) throw abortReason(signal);
+  const controller = new AbortController();
+  const ctx: WalkContext = {
+    issues: [],
+    allErrors: !!options.allErrors,
+    unknownKeys: options.unknownKeys || "allow",
+    locale: options.locale,
+    ancestors: new Map(),
+    pending: [],
+    signal: controller.signal,
+  };
+
+  let value;
+  try {
+    value = walk(structure, arg, options.path || "", ctx);
+    const pending = ctx.pending!;
+    const results = await settle(pending, timeout, signal);
+    // From the last check to the first, so the indexes of earlier ones stay valid
+    for (let i = pending.length - 1; i >= 0; i--) {
+      const { issue, index, rule } = pending[i];
+      const result = results[i];
+      if (!result) continue;
+      const created: StructureIssue[] = [];
+      pushIssue(
+        { ...ctx, issues: created },
+        result === TIMED_OUT
+          ? { ...issue, code: "timeout", params: { timeout, rule } }
+          : {
+              ...issue,
+              code: result.code || "custom",
+              params: result.params,
+              message: result.message,
+            }
+      );
+      ctx.issues.splice(index, 0, created[0]);
+    }
+  } finally {
+    // Checks still running after a timeout, an abort or an exception are no longer needed
+    controller.abort(signal && signal.aborted ? signal.reason : undefined);
+  }
+
+  if (ctx.allErrors) {
+    return { valid: ctx.issues.length === 0, issues: ctx.issues, value };
+  }
+  if (ctx.issues.length > 0) {
+    return ValidationError.fromIssues(ctx.issues.slice(0, 1));
+  }
+}
+
+/**
+ * Returns `structure` unchanged. Declaring a structure through it keeps type names such as `"string"`
+ * from widening to `string`, so `Infer` can compute the type the structure describes.
+ *
+ * @param structure - The structure to declare.
+ * @returns The same structure.
+ */
+function defineStructure<S extends Structure>(structure: S): S {
+  return structure;
+}
+
+/**
+ * Type guard variant of `validateByStructure`: narrows `arg` to the type the structure describes.
+ *
+ * @param structure - The structure to validate against.
+ * @param arg - The data to be validated.
+ * @param options - Validation options, as for `validateByStructure`.
+ * @returns True if `arg` matches the structure.
+ */
+function isValidByStructure<S extends Structure>(
+  structure: S,
+  arg: unknown,
+  options: Omit<ValidateOptions, "allErrors"> = {}
+): arg is InferInput<S> {
+  return validateByStructure(structure, arg, options) === undefined;
+}
+
+/**
+ * Assertion variant of `validateByStructure`: throws the validation Error,
+ * otherwise narrows `arg` to the type the structure describes.
+ *
+ * @param structure - The structure to validate against.
+ * @param arg - The data to be validated.
+ * @param options - Validation options, as for `validateByStructure`.
+ * @throws Error if `arg` does not match the structure.
+ */
+function assertByStructure<S extends Structure>(
+  structure: S,
+  arg: unknown,
+  options: Omit<ValidateOptions, "allErrors"> = {}
+): asserts arg is InferInput<S> {
+  const error = validateByStructure(structure, arg, options);
+  if (error) throw error;
+}
+
+export {
+  validateByStructure,
+  validateByStructureAsync,
+  isValidByStructure,
+  assertByStructure,
+  parseByStructure,
+  defineStructure,
+  optional,
+  nullable,
+  withDefault,
+  withUnknownKeys,
+  strict,
+  arrayOf,
+  tuple,
+  refine,
+  rule,
+  transform,
+  coerce,
+  literal,
+  oneOf,
+  union,
+  record,
+  lazy,
+  isModifier,
+  isArrayStructure,
+  isStructureLike,
+  isLazy,
+  isRefined,
+  isTransformed,
+  isLiteral,
+  isUnion,
+  isRecord,
+  acceptsMissing,
+  describeStructure,
+  uniqueKey,
+  setOwn,
+  copyOwn,
+  mapStructure,
+  STRUCTURE,
+  describeType,
+};
+export type {
+  Infer,
+  InferInput,
+  StructureTypeName,
+  Structure,
+  StructureModifier,
+  UnknownKeysMode,
+  ArrayStructure,
+  ArrayConstraints,
+  TupleConstraints,
+  Refinement,
+  RefinedStructure,
+  TransformedStructure,
+  LiteralStructure,
+  UnionStructure,
+  RecordStructure,
+  StructureLike,
+  LazyStructure,
+  Primitive,
+  Throwing,
+  StructureIssue,
+  StructureIssueCode,
+  StructureValidationResult,
+  ValidateOptions,
+  AsyncValidateOptions,
+};
@@ -0,0 +1,143 @@
+/**
+ * A function that cleans up or converts a value before it is validated.
+ * Transforms leave values they don't apply to unchanged, e.g. `trim(42)` is `42`,
+ * so a failed coercion is reported by the validation that follows.
+ */
+type Transform = (value: any) => any;
+
+const ifString =
+  (fn: (value: string) => any): Transform =>
+  (value) =>
+    typeof value === "string" ? fn(value) : value;
+
+/**
+ * Removes leading and trailing whitespace.
+ */
+const trim: Transform = ifString((value) => value.trim());
+
+/**
+ * Replaces every run of whitespace, including line breaks and tabs, with a single space.
+ * Combine with `trim` to also remove it at the ends.
+ */
+const collapseWhitespace: Transform = ifString((value) =>
+  value.replace(/\s+/g, " ")
+);
+
+/**
+ * Applies Unicode NFC normalization, so precomposed `é` and `e` + combining accent are the same string.
+ */
+const normalizeNFC: Transform = ifString((value) => value.normalize("NFC"));
+
+/**
+ * Applies Unicode NFKC normalization, which also folds compatibility characters,
+ * e.g. full-width `Ａ` to `A` and the `ﬁ` ligature to `fi`.
+ */
+const normalizeNFKC: Transform = ifString((value) => value.normalize("NFKC"));
+
+/**
+ * Converts a string to lowercase.
+ */
+const toLowerCase: Transform = ifString((value) => value.toLowerCase());
+
+/**
+ * Converts a string to uppercase.
+ */
+const toUpperCase: Transform = ifString((value) => value.toUpperCase());
+
+/**
+ * Removes control characters (C0, DEL and C1), keeping tabs and line breaks.
+ */
+const stripControlCharacters: Transform = ifString((value) =>
+  value.replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f-\x9f]/g, "")
+);
+
+/**
+ * Removes invisible characters: zero-width spaces and joiners, direction marks and overrides,
+ * the word joiner, the byte order mark and soft hyphens.
+ * Note that emoji sequences such as family emoji are built with zero-width joiners and fall apart without them.
+ */
+const stripZeroWidth: Transform = ifString((value) =>
+  value.replace(
+    /[\u00ad\u180e\u200b-\u200f\u202a-\u202e\u2060-\u2064\u2066-\u2069\ufeff]/g,
+    ""
+  )
+);
+
+/**
+ * Turns an empty string into `undefined`, so empty form and query fields count as missing.
+ */
+const emptyToUndefined: Transform = (value) =>
+  value === "" ? undefined : value;
+
+/**
+ * Converts a decimal number string like `"42"`, `" -1.5 "` or `"1e3"` to a number.
+ * Other strings, including `""`, `"0x10"`, `"Infinity"` and ones too large for a number like `"1e999"`,
+ * are left unchanged.
+ */
+const toNumber: Transform = ifString((value) => {
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(value.trim())) return value;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : value;
+});
+
+const booleanStrings: { [key: string]: boolean } = {
+  true: true,
+  false: false,
+  "1": true,
+  "0": false,
+  yes: true,
+  no: false,
+  on: true,
+  off: false,
+};
+
+/**
+ * Converts `"true"` / `"false"`, `"1"` / `"0"`, `"yes"` / `"no"` and `"on"` / `"off"` (any case),
+ * and the numbers `1` / `0`, to a boolean. Other values are left unchanged.
+ */
+const toBoolean: Transform = (value) => {
+  if (value === 1 || value === 0) return value === 1;
+  if (typeof value !== "string") return value;
+  const key = value.trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(booleanStrings, key)
+    ? booleanStrings[key]
+    : value;
+};
+
+/**
+ * Wraps a single value in an array, e.g. a query parameter given once instead of repeated.
+ * Arrays and `undefined` are left unchanged.
+ */
+const toArray: Transform = (value) =>
+  Array.isArray(value) || value === undefined ? value : [value];
+
+/**
+ * Combines transforms into one that applies them in order.
+ *
+ * @example
+ * const cleanName = pipe(stripZeroWidth, normalizeNFC, collapseWhitespace, trim);
+ * cleanName("  Jane\u200b   Doe "); // "Jane Doe"
+ *
+ * @param transforms - The transforms to apply.
+ * @returns The combined transform.
+ */
+function pipe(...transforms: Transform[]): Transform {
+  return (value) => transforms.reduce((result, fn) => fn(result), value);
+}
+
+export {
+  trim,
+  collapseWhitespace,
+  normalizeNFC,
+  normalizeNFKC,
+  toLowerCase,
+  toUpperCase,
+  stripControlCharacters,
+  stripZeroWidth,
+  emptyToUndefined,
+  toNumber,
+  toBoolean,
+  toArray,
+  pipe,
+};
+export type { Transform };
@@ -0,0 +1,296 @@
+import { ValidationError } from "./errors";
+import { DomainList } from "./domains";
+
+/**
+ * Options for `validateURL` and `parseURL`.
+ *
+ * - `maxLength` - Maximum length of the URL (default 2048).
+ * - `protocols` - Accepted schemes, with or without the colon (default `["http", "https"]`).
+ * - `requireProtocol` - Reject URLs without a scheme instead of reading them as `https://` (default false).
+ * - `requireTld` - Require host names to have a top-level domain, e.g. reject `intranet` (default true).
+ * - `allowedDomains` - Accepted hosts. Entries of an array match the domain and its subdomains;
+ *   pass a `DomainList` to control subdomain matching per entry.
+ * - `ports` - Accepted ports. Default ports count, so `https://example.com` has port 443.
+ * - `allowCredentials` - Accept `user:password@` in the URL (default false).
+ * - `ssrf` - Reject hosts a server should never be made to fetch: loopback, private, link-local,
+ *   metadata and other reserved IP ranges in any encoding, and local host names like `localhost` (default false).
+ */
+interface URLOptions {
+  maxLength?: number;
+  protocols?: string[];
+  requireProtocol?: boolean;
+  requireTld?: boolean;
+  allowedDomains?: string[] | DomainList;
+  ports?: number[];
+  allowCredentials?: boolean;
+  ssrf?: boolean;
+}
+
+const defaultPorts: { [protocol: string]: number } = {
+  "http:": 80,
+  "https:": 443,
+  "ws:": 80,
+  "wss:": 443,
+  "ftp:": 21,
+};
+
+const labelRegex = /^[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?$/;
+const tldRegex = /^([a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+/**
+ * Reserved IPv4 ranges as `[network, prefix length]`.
+ */
+const privateIPv4Ranges: [string, number][] = [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // carrier-grade NAT, includes Alibaba Cloud metadata
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local, includes AWS/GCP/Azure metadata
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.0.2.0", 24], // documentation
+  ["192.88.99.0", 24], // 6to4 relay anycast
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["198.51.100.0", 24], // documentation
+  ["203.0.113.0", 24], // documentation
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved and broadcast
+];
+
+/**
+ * Reserved IPv6 ranges as `[first group, mask of the first group]`.
+ */
+const privateIPv6Ranges: [number, number][] = [
+  [0xfc00, 0xfe00], // unique local (fc00::/7), includes AWS metadata fd00:ec2::254
+  [0xfe80, 0xffc0], // link-local (fe80::/10)
+  [0xfec0, 0xffc0], // site-local (fec0::/10)
+  [0xff00, 0xff00], // multicast (ff00::/8)
+];
+
+const localHostSuffixes = [
+  "localhost",
+  "localdomain",
+  "local",
+  "internal",
+  "home.arpa",
+];
+
+/**
+ * Parses a dotted IPv4 address into a 32-bit number.
+ *
+ * @param address - The address, e.g. `127.0.0.1`.
+ * @returns The number, or undefined if it is not a dotted IPv4 address.
+ */
+function parseIPv4(address: string): number | undefined {
+  const match = address.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (!match) return undefined;
+  const octets = match.slice(1).map(Number);
+  if (octets.some((octet) => octet > 255)) return undefined;
+  return octets.reduce((value, octet) => value * 256 + octet, 0);
+}
+
+/**
+ * Parses an IPv6 address into its 8 groups.
+ *
+ * @param address - The address, with or without brackets, e.g. `[::1]`.
+ * @returns The groups, or undefined if it is not an IPv6 address.
+ */
+function parseIPv6(address: string): number[] | undefined {
+  let text = address.replace(/^\[(.*)\]$/, "$1").toLowerCase();
+  // A trailing dotted IPv4 address stands for the last two groups
+  const embedded = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) {
+    const ipv4 = parseIPv4(embedded[2]);
+    if (ipv4 === undefined) return undefined;
+    text = `${embedded[1]}${(ipv4 >>> 16).toString(16)}:${(
+      ipv4 & 0xffff
+    ).toString(16)}`;
+  }
+  const halves = text.split("::");
+  if (halves.length > 2) return undefined;
+  const parse = (half: string) => (half ? half.split(":") : []);
+  const head = parse(halves[0]);
+  const tail = halves.length === 2 ? parse(halves[1]) : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return undefined;
+  const groups = [...head, ...Array(missing).fill("0"), ...tail];
+  if (!groups.every((group) => /^[0-9a-f]{1,4}$/.test(group))) return undefined;
+  return groups.map((group) => parseInt(group, 16));
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local, a cloud metadata address or otherwise reserved.
+ * IPv4 addresses mapped or embedded in IPv6 (`::ffff:127.0.0.1`, NAT64, 6to4) are checked as IPv4.
+ * Use it to re-check the addresses a host name resolves to before connecting.
+ *
+ * @param address - An IPv4 or IPv6 address.
+ * @returns True if the address is not publicly routable. False for host names.
+ */
+function isPrivateIP(address: string): boolean {
+  const ipv4 = parseIPv4(address);
+  if (ipv4 !== undefined) {
+    return privateIPv4Ranges.some(([network, prefix]) => {
+      const size = 2 ** (32 - prefix);
+      return Math.floor(ipv4 / size) === Math.floor(parseIPv4(network)! / size);
+    });
+  }
+
+  const groups = parseIPv6(address);
+  if (!groups) return false;
+  const embeddedIPv4 = (high: number, low: number) =>
+    [high >> 8, high & 0xff, low >> 8, low & 0xff].join(".");
+  const zeros = (from: number, to: number) =>
+    groups.slice(from, to).every((group) => group === 0);
+
+  if (zeros(0, 7) && groups[7] <= 1) return true; // unspecified and loopback
+  if (zeros(0, 5) && (groups[5] === 0xffff || groups[5] === 0)) {
+    return isPrivateIP(embeddedIPv4(groups[6], groups[7])); // IPv4-mapped and IPv4-compatible
+  }
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6)) {
+    return isPrivateIP(embeddedIPv4(groups[6], groups[7])); // NAT64
+  }
+  if (groups[0] === 0x2002) {
+    return isPrivateIP(embeddedIPv4(groups[1], groups[2])); // 6to4
+  }
+  if (groups[0] === 0x2001 && groups[1] === 0xdb8) return true; // documentation
+  return privateIPv6Ranges.some(
+    ([first, mask]) => (groups[0] & mask) === first
+  );
+}
+
+/**
+ * Whether a host name points at the local machine or network by convention.
+ *
+ * @param hostname - The lowercase host name.
+ * @returns True for names like `localhost`, `printer.local` or `metadata.google.internal`.
+ */
+function isLocalHostname(hostname: string): boolean {
+  const name = hostname.replace(/\.$/, "");
+  return localHostSuffixes.some(
+    (suffix) => name === suffix || name.endsWith(`.${suffix}`)
+  );
+}
+
+/**
+ * Parses and validates a URL with the WHATWG URL parser, the one browsers use.
+ *
+ * @param url - The URL to validate.
+ * @param options - Validation options.
+ * @returns The parsed URL.
+ * @throws ValidationError if the URL does not meet the options.
+ */
+function parseURL(url: string, options: URLOptions = {}): URL {
+  const {
+    maxLength = 2048,
+    protocols = ["http", "https"],
+    requireProtocol = false,
+    requireTld = true,
+    allowedDomains,
+    ports,
+    allowCredentials = false,
+    ssrf = false,
+  } = options;
+
+  // The parser silently drops surrounding spaces and inner tabs and newlines, so reject them here
+  if (typeof url !== "string" || !url || /[\s\x00-\x1f\x7f]/.test(url)) {
+    throw new ValidationError("url.invalid");
+  }
+  if (url.length > maxLength) {
+    throw new ValidationError("url.too_long", { max: maxLength });
+  }
+
+  // "example.com:8080" has no scheme: what looks like one is followed by a port
+  const hasProtocol = /^[a-z][a-z\d+.-]*:(?!\d)/i.test(url);
+  if (!hasProtocol && requireProtocol) {
+    throw new ValidationError("url.invalid");
+  }
+  let parsed: URL;
+  try {
+    parsed = new URL(hasProtocol ? url : `https://${url}`);
+  } catch (error) {
+    throw new ValidationError("url.invalid");
+  }
+
+  const allowed = protocols.map((protocol) =>
+    protocol.toLowerCase().replace(/:?$/, ":")
+  );
+  if (!allowed.includes(parsed.protocol)) {
+    throw new ValidationError("url.protocol_not_allowed", {
+      protocol: parsed.protocol.slice(0, -1),
+      protocols,
+    });
+  }
+  if (!allowCredentials && (parsed.username || parsed.password)) {
+    throw new ValidationError("url.credentials_not_allowed");
+  }
+
+  const { hostname } = parsed;
+  if (hostname) {
+    if (ssrf && (isPrivateIP(hostname) || isLocalHostname(hostname))) {
+      throw new ValidationError("url.private_host", { host: hostname });
+    }
+    const ip =
+      parseIPv4(hostname) !== undefined || parseIPv6(hostname) !== undefined;
+    const labels = hostname.replace(/\.$/, "").split(".");
+    if (
+      !ip &&
+      (!labels.every((label) => labelRegex.test(label)) ||
+        (requireTld &&
+          (labels.length < 2 || !tldRegex.test(labels[labels.length - 1]))))
+    ) {
+      throw new ValidationError("url.invalid");
+    }
+    if (allowedDomains) {
+      const list =
+        allowedDomains instanceof DomainList
+          ? allowedDomains
+          : new DomainList(allowedDomains, { subdomains: true });
+      if (!list.has(hostname)) {
+        throw new ValidationError("url.domain_not_allowed", {
+          host: hostname,
+          ...(Array.isArray(allowedDomains) && { allowedDomains }),
+        });
+      }
+    }
+  }
+
+  const port = parsed.port
+    ? Number(parsed.port)
+    : defaultPorts[parsed.protocol];
+  if (ports && !ports.includes(port)) {
+    throw new ValidationError("url.port_not_allowed", { port });
+  }
+
+  return parsed;
+}
+
+/**
+ * validateURL - Function to validate the URL format.
+ * Parses the URL like browsers do, ensures it does not exceed the maximum length,
+ * and optionally belongs to one of the allowed domains or their subdomains.
+ *
+ * @param url - The URL to validate.
+ * @param maxLength - Maximum allowed length of the URL (default is 2048), or `URLOptions`.
+ * @param allowedDomains - List of allowed domains, matching the domains and their subdomains. If not provided, no domain check is performed.
+ * @throws ValidationError if the URL does not meet the requirements.
+ */
+function validateURL(
+  url: string,
+  maxLength: number | URLOptions = 2048,
+  allowedDomains: string[] = []
+): void {
+  parseURL(
+    url,
+    typeof maxLength === "number"
+      ? {
+          maxLength,
+          allowedDomains:
+            allowedDomains.length > 0 ? allowedDomains : undefined,
+        }
+      : maxLength
+  );
+}
+
+export { validateURL, parseURL, isPrivateIP };
+export type { URLOptions };
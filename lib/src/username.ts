@@ -0,0 +1,242 @@
+import { ValidationError } from "./errors";
+import { reservedUserNameList } from "./reserved-usernames";
+import { skeleton, isMixedScript } from "./confusables";
+
+/**
+ * A set of reserved usernames to check against, e.g. the bundled `reservedUserNames` or your own `Set`.
+ * It is asked about the lowercase username, with and without separators. Lookalikes of the names are
+ * only caught when the set can be iterated, like a `Set`; otherwise use `protectedNames` for them.
+ */
+interface ReservedUserNames {
+  has(name: string): boolean;
+}
+
+/**
+ * Options for `validateUserName` and `normalizeUserName`.
+ *
+ * - `minLength` / `maxLength` - Length bounds, counted in Unicode code points (default 5 / 32).
+ * - `unicode` - Accept letters, combining marks and digits of every script, e.g. Cyrillic (default false: ASCII only).
+ * - `allowedCharacters` - A pattern every character but separators must match, instead of the `unicode` default.
+ * - `separators` - Characters allowed between letters and digits, e.g. `"._-"` (default none).
+ * - `allowLeadingSeparator` / `allowTrailingSeparator` - Allow separators at the start / end (default false).
+ * - `allowConsecutiveSeparators` - Allow runs like `a__b` or `a.-b` (default false).
+ * - `reserved` - Reject reserved names: `true` for the bundled `reservedUserNames`, or a set.
+ *   Compared case-insensitively and without separators, so `Ad.Min` is `admin`, and by skeleton,
+ *   so `аdmin` with a Cyrillic `а` is too.
+ * - `rejectMixedScript` - Reject names mixing scripts, like Latin and Cyrillic in `pаypal` (default false).
+ * - `protectedNames` - Names that can't be impersonated, e.g. your brand or staff accounts: names that look
+ *   like one of them (see `areConfusable`), case-insensitively, are rejected.
+ */
+interface UserNameOptions {
+  minLength?: number;
+  maxLength?: number;
+  unicode?: boolean;
+  allowedCharacters?: RegExp;
+  separators?: string;
+  allowLeadingSeparator?: boolean;
+  allowTrailingSeparator?: boolean;
+  allowConsecutiveSeparators?: boolean;
+  reserved?: boolean | ReservedUserNames;
+  rejectMixedScript?: boolean;
+  protectedNames?: string[];
+}
+
+/**
+ * The bundled list of reserved usernames, lowercase and without separators.
+ */
+const reservedUserNames: Set<string> = new Set(reservedUserNameList);
+
+const asciiCharacters = /[a-zA-Z0-9]/;
+const unicodeCharacters = /[\p{L}\p{M}\p{Nd}]/u;
+
+/**
+ * The form usernames are compared in: NFKC-normalized and lowercase, so `Ｊｏｈｎ`, `JOHN` and `john` match.
+ *
+ * @param userName - The username.
+ * @returns The comparison key.
+ */
+const foldUserName = (userName: string): string =>
+  userName.normalize("NFKC").toLowerCase();
+
+/**
+ * The skeleton of a username, ignoring case: the skeleton is taken before folding too,
+ * so `paypaI` (capital i) and `SUPP0RT` still match `paypal` and `support`.
+ *
+ * @param userName - The username.
+ * @returns The comparison key.
+ */
+const confusableKey = (userName: string): string =>
+  skeleton(foldUserName(skeleton(userName)));
+
+/**
+ * The `confusableKey` of each reserved name, per list. Keys are looked up by name while iterating the list,
+ * so names added to it later, e.g. to the bundled list, are still compared.
+ */
+const reservedKeys = new WeakMap<object, Map<string, string>>();
+
+/**
+ * Whether any of `keys` is the `confusableKey` of a name on a reserved list that can be iterated.
+ *
+ * @param list - The reserved names.
+ * @param keys - The keys of the username, with and without separators.
+ * @returns True if the username looks like a reserved name.
+ */
+function looksReserved(
+  list: ReservedUserNames | Iterable<string>,
+  keys: string[]
+): boolean {
+  if (!(Symbol.iterator in list)) return false;
+  let cache = reservedKeys.get(list);
+  if (!cache) {
+    cache = new Map();
+    reservedKeys.set(list, cache);
+  }
+  for (const name of list) {
+    let key = cache.get(name);
+    if (key === undefined) {
+      key = confusableKey(name);
+      cache.set(name, key);
+    }
+    if (keys.includes(key)) return true;
+  }
+  return false;
+}
+
+/**
+ * Validates if the provided username follows specific length constraints and contains only allowed characters
+ * (by default letters and numbers). Throws an error if the username is invalid.
+ *
+ * @example
+ * validateUserName("иван_петров", { unicode: true, separators: "._-", reserved: true });
+ *
+ * @param userName - The username to be validated.
+ * @param possibleUserNameMinLength - The minimum length of the username (default 5), or `UserNameOptions`.
+ * @param possibleUserNameLength - The maximum length of the username (default 32), when a minimum length is given.
+ * @throws ValidationError if the username format or length is invalid, or the name is reserved.
+ */
+function validateUserName(
+  userName: string,
+  possibleUserNameMinLength: number | UserNameOptions = 5,
+  possibleUserNameLength: number = 32
+): void {
+  const options: UserNameOptions =
+    typeof possibleUserNameMinLength === "number"
+      ? {
+          minLength: possibleUserNameMinLength,
+          maxLength: possibleUserNameLength,
+        }
+      : possibleUserNameMinLength;
+  const {
+    minLength = 5,
+    maxLength = 32,
+    unicode = false,
+    allowedCharacters = unicode ? unicodeCharacters : asciiCharacters,
+    separators = "",
+    allowLeadingSeparator = false,
+    allowTrailingSeparator = false,
+    allowConsecutiveSeparators = false,
+    reserved = false,
+    rejectMixedScript = false,
+    protectedNames = [],
+  } = options;
+
+  const characters = typeof userName === "string" ? [...userName] : [];
+  const isSeparator = (character: string | undefined) =>
+    character !== undefined && separators.includes(character);
+  const valid =
+    characters.length > 0 &&
+    characters.every((character, index) => {
+      if (isSeparator(character)) return true;
+      allowedCharacters.lastIndex = 0; // Global and sticky patterns keep state between tests
+      if (!allowedCharacters.test(character)) return false;
+      // A combining mark must modify a letter or digit, not start the name or follow a separator
+      const previous = characters[index - 1];
+      return (
+        !/\p{M}/u.test(character) ||
+        (previous !== undefined && !isSeparator(previous))
+      );
+    });
+  if (!valid) {
+    throw new ValidationError(
+      "username.invalid_characters",
+      separators ? { separators: [...separators] } : {}
+    );
+  }
+
+  if (rejectMixedScript && isMixedScript(userName)) {
+    throw new ValidationError("username.mixed_script");
+  }
+
+  if (!allowLeadingSeparator && isSeparator(characters[0])) {
+    throw new ValidationError("username.leading_separator");
+  }
+  if (
+    !allowTrailingSeparator &&
+    isSeparator(characters[characters.length - 1])
+  ) {
+    throw new ValidationError("username.trailing_separator");
+  }
+  if (
+    !allowConsecutiveSeparators &&
+    characters.some(
+      (character, index) =>
+        isSeparator(character) && isSeparator(characters[index + 1])
+    )
+  ) {
+    throw new ValidationError("username.consecutive_separators");
+  }
+
+  if (characters.length < minLength) {
+    throw new ValidationError("username.too_short", { min: minLength });
+  }
+  if (characters.length > maxLength) {
+    throw new ValidationError("username.too_long", { max: maxLength });
+  }
+
+  const list = reserved === true ? reservedUserNames : reserved;
+  if (list) {
+    const withoutSeparators = (name: string) =>
+      [...name].filter((character) => !isSeparator(character)).join("");
+    const folded = foldUserName(userName);
+    if (
+      list.has(folded) ||
+      list.has(withoutSeparators(folded)) ||
+      looksReserved(list, [
+        confusableKey(userName),
+        confusableKey(withoutSeparators(userName)),
+      ])
+    ) {
+      throw new ValidationError("username.reserved");
+    }
+  }
+
+  if (protectedNames.length) {
+    const key = confusableKey(userName);
+    if (protectedNames.some((name) => confusableKey(name) === key)) {
+      throw new ValidationError("username.confusable");
+    }
+  }
+}
+
+/**
+ * Validates a username and returns the form to store for uniqueness checks: NFKC-normalized and lowercase,
+ * so `John`, `JOHN` and full-width `Ｊｏｈｎ` can't be registered as different users.
+ *
+ * @example
+ * normalizeUserName("Ivan.Petrov", { separators: "." }); // "ivan.petrov"
+ *
+ * @param userName - The username to normalize.
+ * @param options - Validation options.
+ * @returns The normalized username.
+ * @throws ValidationError if the username is invalid.
+ */
+function normalizeUserName(
+  userName: string,
+  options: UserNameOptions = {}
+): string {
+  validateUserName(userName, options);
+  return foldUserName(userName);
+}
+
+export { validateUserName, normalizeUserName, reservedUserNames };
+export type { UserNameOptions, ReservedUserNames };
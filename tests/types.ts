@@ -0,0 +1,165 @@
+// Type-level tests for `Infer`, `InferInput` and the type guards, checked by `npm run typecheck` in lib/.
+// Nothing here runs: a wrong inferred type is a compile error.
+import {
+  defineStructure,
+  optional,
+  nullable,
+  withDefault,
+  arrayOf,
+  tuple,
+  literal,
+  oneOf,
+  union,
+  record,
+  lazy,
+  refine,
+  transform,
+  coerce,
+  trim,
+  schema,
+  compile,
+  isValidByStructure,
+  assertByStructure,
+  parseByStructure,
+  validateByStructure,
+} from "../lib/src/script";
+import type {
+  Infer,
+  InferInput,
+  LazyStructure,
+  Structure,
+} from "../lib/src/script";
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends <T>() => T extends B
+  ? 1
+  : 2
+  ? true
+  : false;
+declare function expectType<T extends true>(): void;
+
+// Type names, modifiers and nesting
+const user = defineStructure({
+  name: "string",
+  age: optional("number"),
+  bio: nullable("string"),
+  role: withDefault(oneOf(["user", "admin"]), "user"),
+  tags: optional(["string"]),
+  address: optional(
+    nullable({ city: "string", zip: withDefault("string", "") })
+  ),
+});
+expectType<
+  Equal<
+    Infer<typeof user>,
+    {
+      name: string;
+      age?: number;
+      bio: string | null;
+      role: "user" | "admin";
+      tags?: string[];
+      address?: { city: string; zip: string } | null;
+    }
+  >
+>();
+expectType<
+  Equal<
+    InferInput<typeof user>,
+    {
+      name: string;
+      age?: number;
+      bio: string | null;
+      role?: "user" | "admin";
+      tags?: string[];
+      address?: { city: string; zip?: string } | null;
+    }
+  >
+>();
+
+// Arrays, tuples, literals, unions and records
+const point = tuple(["number", "number"]);
+expectType<Equal<Infer<typeof point>, [number, number]>>();
+const command = tuple(["string"], { rest: "number" });
+expectType<Equal<Infer<typeof command>, [string, ...number[]]>>();
+const flags = arrayOf("boolean", { maxLength: 3 });
+expectType<Equal<Infer<typeof flags>, boolean[]>>();
+const id = union(["number", literal("me")]);
+expectType<Equal<Infer<typeof id>, number | "me">>();
+const scores = record("number");
+expectType<Equal<Infer<typeof scores>, { [key: string]: number }>>();
+const checked = refine({ from: "number", to: "number" }, (r) => r.from < r.to);
+expectType<Equal<Infer<typeof checked>, { from: number; to: number }>>();
+
+// Transformed structures accept anything their transforms convert
+const page = {
+  page: withDefault(coerce("number"), 1),
+  q: transform("string", trim),
+};
+expectType<Equal<Infer<typeof page>, { page: number; q: string }>>();
+expectType<Equal<InferInput<typeof page>, { page?: unknown; q: unknown }>>();
+
+// Lazy structures carry the declared type
+interface Comment {
+  text: string;
+  replies: Comment[];
+}
+const comment: LazyStructure<Comment> = lazy(() => ({
+  text: "string",
+  replies: arrayOf(comment),
+}));
+const thread = defineStructure({ title: "string", root: optional(comment) });
+expectType<Equal<Infer<typeof thread>, { title: string; root?: Comment }>>();
+expectType<Equal<Infer<LazyStructure>, unknown>>();
+
+// Schemas
+const profile = schema
+  .object({
+    name: schema.string().min(1),
+    nick: schema.string().optional(),
+    bio: schema.string().nullable(),
+    role: schema.enum(["user", "admin"]).default("user"),
+    tags: schema.array(schema.string()),
+    point: schema.tuple([schema.number(), schema.number()]),
+    id: schema.union([schema.number(), schema.literal("me")]),
+    links: schema.record(schema.string()),
+  })
+  .strict();
+expectType<
+  Equal<
+    Infer<typeof profile>,
+    {
+      name: string;
+      nick?: string;
+      bio: string | null;
+      role: "user" | "admin";
+      tags: string[];
+      point: [number, number];
+      id: number | "me";
+      links: { [key: string]: string };
+    }
+  >
+>();
+expectType<
+  Equal<InferInput<typeof profile>["role"], "user" | "admin" | undefined>
+>();
+
+// Widely typed structures infer to unknown
+declare const anything: Structure;
+expectType<Equal<Infer<typeof anything>, unknown>>();
+
+// Type guards narrow to the input type, validation results carry the output type
+declare const body: unknown;
+if (isValidByStructure(user, body)) {
+  expectType<Equal<typeof body, InferInput<typeof user>>>();
+}
+if (compile(user).is(body)) {
+  expectType<Equal<typeof body, InferInput<typeof user>>>();
+}
+const input: unknown = body;
+assertByStructure(point, input);
+expectType<Equal<typeof input, [number, number]>>();
+const parsed = parseByStructure(user, body);
+expectType<Equal<typeof parsed, Infer<typeof user>>>();
+const result = validateByStructure(user, body, { allErrors: true });
+expectType<Equal<typeof result.value, Infer<typeof user>>>();
+// @ts-expect-error Unknown fields are not part of the inferred type
+parsed.email;